@@ -0,0 +1,234 @@
+import * as THREE from 'three';
+
+/**
+ * Bathymetry mode: shade the ocean by its real depth
+ * Instead of flat satellite blue, ocean surfaces are coloured from a depth
+ * ramp and optionally tinted by a translucent water surface, so trenches
+ * and ridges can be read from across the planet. Depths come from elevation
+ * tiles (negative values); Terrarium has global bathymetry, Mapbox
+ * terrain-RGB oceans are flat.
+ *
+ * The sea level can also be moved (and animated), e.g. from -120 m in the
+ * last ice age to +70 m with all ice melted: land below it floods, and
+ * seabed above it dries out, with surf along the new shoreline.
+ */
+
+// Depth (m below sea level) to color stops
+export const DEFAULT_DEPTH_RAMP = [
+  { depth: 0, color: '#7fdbe0' },     // Shallows
+  { depth: 200, color: '#3ba3c6' },   // Continental shelf edge
+  { depth: 1000, color: '#2a6fae' },  // Continental slope
+  { depth: 4000, color: '#1b3f7e' },  // Abyssal plain
+  { depth: 6000, color: '#101f52' },  // Deep basins
+  { depth: 11000, color: '#050818' }, // Trenches
+];
+
+// Samples in the ramp texture
+const RAMP_SIZE = 256;
+
+// Sea level presets (m relative to today's)
+export const SEA_LEVELS = {
+  iceAge: -120,   // Last glacial maximum
+  today: 0,
+  iceFree: 70,    // All land ice melted
+};
+
+// Shader chunk (after a uSeaLevel uniform; part of bathymetryShaderChunk, and
+// on its own for vertex shaders): getFlooding(elevation), and the height
+// the ground is drawn at, getSurfaceElevation(elevation), in meters
+export const floodingShaderChunk = `
+  // Today's land now under the sea (0..1). Land below today's sea level
+  // (Dead Sea, polders) counts as at 0 m so it stays dry until the sea rises.
+  float getFlooding(float elevation) {
+    float land = smoothstep(-2.0, -0.5, elevation);
+    return land * smoothstep(0.0, 0.5, uSeaLevel - max(elevation, 0.0));
+  }
+
+  // Flooded land lies flat under the sea surface
+  float getSurfaceElevation(float elevation) {
+    return mix(elevation, max(elevation, uSeaLevel), getFlooding(elevation));
+  }
+`;
+
+// Shader chunk: call applyBathymetry(surfaceColor, elevation) then
+// applySeaLevel(surfaceColor, elevation), with elevation in meters
+export const bathymetryShaderChunk = `
+  uniform float uBathymetry;       // 0 = satellite ocean, 1 = depth shading
+  uniform sampler2D uDepthRamp;    // depth colors, indexed by sqrt(depth / uMaxDepth)
+  uniform float uMaxDepth;         // m, depth at the end of the ramp
+  uniform vec3 uWaterColor;
+  uniform float uWaterOpacity;     // 0 = clear water, 1 = opaque surface
+  uniform float uSeaLevel;         // m, relative to today's
+  uniform vec3 uExposedColor;      // seabed left dry by a lower sea
+  uniform vec3 uShoreColor;
+  uniform float uShoreWidth;       // m of depth the surf covers
+  ${floodingShaderChunk}
+
+  vec3 applyBathymetry(vec3 surfaceColor, float elevation) {
+    float depth = max(uSeaLevel - elevation, 0.0);
+    vec3 seabed = texture2D(uDepthRamp, vec2(sqrt(min(depth / uMaxDepth, 1.0)), 0.5)).rgb;
+
+    // Translucent surface: deeper water lets less of the seabed through
+    float water = uWaterOpacity * (1.0 - exp(-depth / 2000.0));
+    vec3 oceanColor = mix(seabed, uWaterColor, water);
+
+    // Fade in over the first few meters so coastlines stay soft
+    float ocean = uBathymetry * (1.0 - smoothstep(uSeaLevel - 5.0, uSeaLevel, elevation));
+    return mix(surfaceColor, oceanColor, ocean);
+  }
+
+  vec3 applySeaLevel(vec3 surfaceColor, float elevation) {
+    float depth = uSeaLevel - elevation;
+    float wasSea = 1.0 - smoothstep(-2.0, -0.5, elevation);
+
+    // Flooded land shows through shallow water
+    float floodDepth = uSeaLevel - max(elevation, 0.0);
+    vec3 color = mix(surfaceColor, uWaterColor, getFlooding(elevation) * (1.0 - 0.4 * exp(-floodDepth / 20.0)));
+
+    // Seabed above the water
+    color = mix(color, uExposedColor, wasSea * smoothstep(0.0, 0.5, -depth));
+
+    // Surf just offshore, only once the coastline has moved
+    float surf = step(0.0, depth) * (1.0 - smoothstep(0.0, uShoreWidth, depth));
+    return mix(color, uShoreColor, 0.6 * surf * smoothstep(0.0, 1.0, abs(uSeaLevel)));
+  }
+`;
+
+/**
+ * Creates the bathymetry controller and the uniforms its shader chunk uses
+ * @param {Object} options - { enabled, depthRamp, waterColor, waterOpacity,
+ *   seaLevel (m), exposedColor, shoreColor, shoreWidth (m) }
+ */
+export function createBathymetry({
+  enabled = false,
+  depthRamp = DEFAULT_DEPTH_RAMP,
+  waterColor = 0x0a3d62,
+  waterOpacity = 0.3,
+  seaLevel = SEA_LEVELS.today,
+  exposedColor = 0x8a7f6a,
+  shoreColor = 0xe8f4f8,
+  shoreWidth = 3,
+} = {}) {
+  const rampTexture = createDepthRampTexture(depthRamp);
+
+  // Sea level change in progress: { from, to, duration, elapsed } (s)
+  let seaLevelAnimation = null;
+
+  // Shared uniforms for the terrain and globe materials
+  const uniforms = {
+    uBathymetry: { value: enabled ? 1 : 0 },
+    uDepthRamp: { value: rampTexture },
+    uMaxDepth: { value: getMaxDepth(depthRamp) },
+    uWaterColor: { value: new THREE.Color(waterColor) },
+    uWaterOpacity: { value: waterOpacity },
+    uSeaLevel: { value: seaLevel },
+    uExposedColor: { value: new THREE.Color(exposedColor) },
+    uShoreColor: { value: new THREE.Color(shoreColor) },
+    uShoreWidth: { value: shoreWidth },
+  };
+
+  return {
+    uniforms,
+
+    get enabled() {
+      return uniforms.uBathymetry.value > 0;
+    },
+
+    setEnabled(isEnabled) {
+      uniforms.uBathymetry.value = isEnabled ? 1 : 0;
+    },
+
+    toggle() {
+      this.setEnabled(!this.enabled);
+    },
+
+    // Replace the color ramp, e.g. [{ depth: 0, color: '#7fdbe0' }, ...]
+    setDepthRamp(stops) {
+      uniforms.uDepthRamp.value.dispose();
+      uniforms.uDepthRamp.value = createDepthRampTexture(stops);
+      uniforms.uMaxDepth.value = getMaxDepth(stops);
+    },
+
+    setWaterColor(color) {
+      uniforms.uWaterColor.value.set(color);
+    },
+
+    setWaterOpacity(opacity) {
+      uniforms.uWaterOpacity.value = opacity;
+    },
+
+    get seaLevel() {
+      return uniforms.uSeaLevel.value;
+    },
+
+    // Water level relative to today's (m), e.g. SEA_LEVELS.iceAge
+    setSeaLevel(level) {
+      seaLevelAnimation = null;
+      uniforms.uSeaLevel.value = level;
+    },
+
+    // Move the sea level to a new height over `duration` seconds
+    animateSeaLevel(level, duration = 5) {
+      seaLevelAnimation = { from: uniforms.uSeaLevel.value, to: level, duration, elapsed: 0 };
+    },
+
+    get isAnimating() {
+      return seaLevelAnimation !== null;
+    },
+
+    // Call each frame to advance animateSeaLevel
+    update(deltaTime) {
+      if (!seaLevelAnimation) return;
+
+      const { from, to, duration } = seaLevelAnimation;
+      seaLevelAnimation.elapsed += deltaTime;
+      const t = Math.min(seaLevelAnimation.elapsed / duration, 1);
+      const eased = t * t * (3 - 2 * t);
+      uniforms.uSeaLevel.value = from + (to - from) * eased;
+      if (t === 1) seaLevelAnimation = null;
+    },
+  };
+}
+
+function getMaxDepth(stops) {
+  return Math.max(...stops.map(stop => stop.depth));
+}
+
+/**
+ * Bake color stops into a 1D texture, with more samples in the shallows
+ * (texel i is at depth (i / (RAMP_SIZE - 1))^2 * maxDepth)
+ */
+function createDepthRampTexture(stops) {
+  const sorted = [...stops].sort((a, b) => a.depth - b.depth);
+  const colors = sorted.map(stop => new THREE.Color(stop.color));
+  const maxDepth = getMaxDepth(sorted);
+
+  const data = new Uint8Array(RAMP_SIZE * 4);
+  const color = new THREE.Color();
+
+  for (let i = 0; i < RAMP_SIZE; i++) {
+    const depth = (i / (RAMP_SIZE - 1)) ** 2 * maxDepth;
+
+    // Interpolate between the stops either side of this depth
+    let upper = sorted.findIndex(stop => stop.depth >= depth);
+    if (upper < 0) upper = sorted.length - 1;
+    const lower = Math.max(upper - 1, 0);
+    const span = sorted[upper].depth - sorted[lower].depth;
+    const t = span > 0 ? (depth - sorted[lower].depth) / span : 0;
+    color.copy(colors[lower]).lerp(colors[upper], t);
+
+    // Stored as sRGB bytes, like the satellite textures
+    const { r, g, b } = color.clone().convertLinearToSRGB();
+    data[i * 4] = Math.round(r * 255);
+    data[i * 4 + 1] = Math.round(g * 255);
+    data[i * 4 + 2] = Math.round(b * 255);
+    data[i * 4 + 3] = 255;
+  }
+
+  const texture = new THREE.DataTexture(data, RAMP_SIZE, 1);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
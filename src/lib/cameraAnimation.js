@@ -42,7 +42,7 @@ function getLookTargetFromLatLon(targetLat, targetLon) {
  * Keyframes for the camera animation
  * Each keyframe has:
  *   - lat, lon: camera position on globe
- *   - altitude: km offset from globe surface (terrain is at 8km offset)
+ *   - altitude: km above sea level (the globe surface)
  *   - lookAtLat, lookAtLon: target location to look at on the globe
  *   - duration: time to reach this keyframe from previous (seconds)
  */
@@ -0,0 +1,286 @@
+import * as THREE from 'three';
+import { atmosphereShaderChunk } from './atmosphere.js';
+
+/**
+ * Cloud layer: a translucent shell hanging inside the globe
+ * Textured from a global cloud map that drifts slowly around the axis, lit
+ * by the sun (dark on the night side) and seen through the atmosphere like
+ * the surface. The globe and terrain shade themselves with its shadows.
+ */
+
+// Segments of the cloud shell (flat enough a few km below the camera)
+const CLOUD_WIDTH_SEGMENTS = 256;
+const CLOUD_HEIGHT_SEGMENTS = 128;
+
+// Size of the cloud map generated when no texture is configured (or it
+// can't be loaded)
+const PROCEDURAL_WIDTH = 1024;
+const PROCEDURAL_HEIGHT = 512;
+
+// Shader chunk (after atmosphereShaderChunk, for uSunDirection; fragment
+// shaders only): getCloudDensity(direction, bias) of the drifted cloud map,
+// and getCloudLight(worldPos), the direct sunlight its shadows let through
+export const cloudsShaderChunk = `
+  uniform sampler2D uCloudMap;     // equirectangular cloud cover (red channel)
+  uniform float uCloudOpacity;     // 0 = no clouds (or shadows)
+  uniform float uCloudRadius;      // km, radius of the cloud shell
+  uniform float uCloudOffset;      // drift east, in turns
+  uniform float uCloudShadow;      // sunlight blocked under full cover
+
+  vec2 getCloudUv(vec3 direction) {
+    // Same layout as the night map (see nightLights.js)
+    float u = 0.5 - atan(direction.x, direction.z) / 6.28318530718 - uCloudOffset;
+    float v = 0.5 + asin(clamp(direction.y, -1.0, 1.0)) / 3.14159265359;
+
+    // Avoid a mipmap seam where u wraps (the texture repeats)
+    float uShifted = fract(u + 0.5) - 0.5;
+    u = fract(u);
+    return vec2(fwidth(u) <= fwidth(uShifted) ? u : uShifted, v);
+  }
+
+  // Cover from 0 to 1; a positive mip bias blurs it
+  float getCloudDensity(vec3 direction, float bias) {
+    return texture2D(uCloudMap, getCloudUv(direction), bias).r * uCloudOpacity;
+  }
+
+  // 1 in full sun, less where the ray toward the sun crosses cloud. Blurred,
+  // so the shadows are soft.
+  float getCloudLight(vec3 worldPos) {
+    vec3 up = normalize(worldPos);
+    // Higher ground is nearer the centre (and may be above the clouds)
+    float height = length(worldPos) - uCloudRadius;
+
+    float sunHeight = dot(up, uSunDirection);
+    vec3 toSun = uSunDirection - up * sunHeight;
+    vec3 cloudPoint = worldPos - up * height + toSun * (max(height, 0.0) / max(sunHeight, 0.2));
+    float density = getCloudDensity(normalize(cloudPoint), 3.0);
+    return 1.0 - uCloudShadow * density * step(0.0, height);
+  }
+`;
+
+const CLOUD_VERTEX_SHADER = `
+  varying vec3 vWorldPosition;
+
+  void main() {
+    vec4 worldPos = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPos.xyz;
+    gl_Position = projectionMatrix * viewMatrix * worldPos;
+  }
+`;
+
+const CLOUD_FRAGMENT_SHADER = `
+  ${atmosphereShaderChunk}
+  ${cloudsShaderChunk}
+  uniform vec3 uCloudColor;
+  uniform vec3 uCloudNightColor;
+
+  varying vec3 vWorldPosition;
+
+  void main() {
+    float density = getCloudDensity(normalize(vWorldPosition), 0.0);
+    if (density < 0.01) discard;
+
+    // Sunlit on the day side, as the ground below
+    vec3 color = mix(uCloudNightColor, uCloudColor, getDayFactor(vWorldPosition));
+
+    // Seen from below (the near side of the shell, with the camera under
+    // it), thick cloud is darker
+    vec3 rayDir = normalize(vWorldPosition - uCameraPosition);
+    if (length(uCameraPosition) > uCloudRadius && dot(rayDir, vWorldPosition) < 0.0) {
+      color *= 1.0 - 0.4 * density;
+    }
+
+    gl_FragColor = vec4(applyAtmosphere(color, vWorldPosition), density);
+  }
+`;
+
+/**
+ * Create the cloud layer
+ * @param {number} radius - globe radius (km)
+ * @param {Object} atmosphereUniforms - atmosphere uniforms (see atmosphere.js)
+ * @param {Object} options - { enabled, opacity (0-1), altitude (km inside
+ *   the globe), driftSpeed (degrees of longitude per second), shadow (0-1
+ *   of sunlight blocked under full cover), map (URL of an equirectangular
+ *   cloud map; procedural cloud cover without one) }
+ * @returns {Promise<Object>} controller with the cloud mesh and the uniforms
+ *   the globe and terrain shade their shadows with
+ */
+export async function createClouds(radius, atmosphereUniforms, {
+  enabled = true,
+  opacity = 0.8,
+  altitude = 15,
+  driftSpeed = 0.2,
+  shadow = 0.6,
+  map = null,
+} = {}) {
+  let cloudOpacity = opacity;
+  let isEnabled = enabled;
+  let drift = driftSpeed;
+
+  const uniforms = {
+    uCloudMap: { value: map ? await loadCloudTexture(map) : createProceduralCloudTexture() },
+    uCloudOpacity: { value: enabled ? opacity : 0 },
+    uCloudRadius: { value: radius - altitude },
+    uCloudOffset: { value: 0 },
+    uCloudShadow: { value: shadow },
+  };
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      uCloudColor: { value: new THREE.Color(0xffffff) },
+      uCloudNightColor: { value: new THREE.Color(0x05060c) },
+      ...atmosphereUniforms,
+      ...uniforms,
+    },
+    vertexShader: CLOUD_VERTEX_SHADER,
+    fragmentShader: CLOUD_FRAGMENT_SHADER,
+    side: THREE.DoubleSide,
+    transparent: true,
+    depthWrite: false,
+  });
+
+  const mesh = new THREE.Mesh(
+    new THREE.SphereGeometry(radius, CLOUD_WIDTH_SEGMENTS, CLOUD_HEIGHT_SEGMENTS),
+    material
+  );
+  mesh.name = 'clouds';
+  mesh.scale.setScalar((radius - altitude) / radius);
+  mesh.visible = enabled;
+  // The camera is always inside it
+  mesh.frustumCulled = false;
+
+  return {
+    mesh,
+    uniforms,
+
+    get enabled() {
+      return isEnabled;
+    },
+
+    setEnabled(value) {
+      isEnabled = value;
+      mesh.visible = value;
+      uniforms.uCloudOpacity.value = value ? cloudOpacity : 0;
+    },
+
+    toggle() {
+      this.setEnabled(!isEnabled);
+    },
+
+    setOpacity(value) {
+      cloudOpacity = value;
+      if (isEnabled) uniforms.uCloudOpacity.value = value;
+    },
+
+    // Height of the cloud layer above sea level (km, toward the centre)
+    setAltitude(value) {
+      uniforms.uCloudRadius.value = radius - value;
+      mesh.scale.setScalar((radius - value) / radius);
+    },
+
+    // Degrees of longitude per second the clouds move east
+    setDriftSpeed(value) {
+      drift = value;
+    },
+
+    setShadow(value) {
+      uniforms.uCloudShadow.value = value;
+    },
+
+    // Call each frame to advance the drift
+    update(deltaTime) {
+      uniforms.uCloudOffset.value = (uniforms.uCloudOffset.value + drift * deltaTime / 360) % 1;
+    },
+  };
+}
+
+/**
+ * Load a cloud map (procedural cloud cover if it can't be loaded)
+ */
+function loadCloudTexture(url) {
+  return new Promise((resolve, reject) => {
+    console.log(`Loading cloud texture ${url}...`);
+    new THREE.TextureLoader().load(
+      url,
+      (texture) => {
+        texture.wrapS = THREE.RepeatWrapping;
+        console.log('Cloud texture loaded');
+        resolve(texture);
+      },
+      undefined,
+      reject
+    );
+  }).catch((error) => {
+    console.warn('Failed to load cloud texture, using procedural clouds', error);
+    return createProceduralCloudTexture();
+  });
+}
+
+/**
+ * Fractal noise cloud cover, wrapping around in longitude, densest over
+ * the equator and the mid-latitude storm tracks (most of all the Southern
+ * Ocean's) and thinnest over the subtropical deserts. Rows run south to
+ * north, as v does in getCloudUv (the texture isn't flipped).
+ */
+function createProceduralCloudTexture(width = PROCEDURAL_WIDTH, height = PROCEDURAL_HEIGHT) {
+  const data = new Uint8Array(width * height * 4);
+
+  for (let row = 0; row < height; row++) {
+    const lat = ((row + 0.5) / height) * 180 - 90;
+    const absLat = Math.abs(lat);
+    const band = 0.45
+      + 0.2 * Math.exp(-((absLat / 10) ** 2))
+      - 0.15 * Math.exp(-(((absLat - 25) / 10) ** 2))
+      + 0.15 * Math.exp(-(((absLat - 55) / 12) ** 2))
+      + 0.05 * Math.exp(-(((lat + 58) / 8) ** 2));
+
+    for (let col = 0; col < width; col++) {
+      let noise = 0;
+      let amplitude = 0.5;
+      // Octave cells: 8 around the equator at first, doubling each octave
+      for (let octave = 0; octave < 6; octave++) {
+        const cells = 8 << octave;
+        noise += amplitude * periodicNoise((col / width) * cells, (row / height) * cells / 2, cells, octave);
+        amplitude *= 0.5;
+      }
+
+      const cover = Math.min(Math.max((noise + band - 0.85) / 0.3, 0), 1);
+      const value = Math.round(cover * cover * (3 - 2 * cover) * 255);
+      const i = (row * width + col) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+
+  const texture = new THREE.DataTexture(data, width, height);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.generateMipmaps = true;
+  texture.flipY = false;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Smooth value noise in 0..1 that repeats every `period` cells in x
+ */
+function periodicNoise(x, y, period, seed) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  const sx = fx * fx * (3 - 2 * fx);
+  const sy = fy * fy * (3 - 2 * fy);
+
+  const corner = (cx, cy) => hashCell(((cx % period) + period) % period, cy, seed);
+  const top = corner(x0, y0) + (corner(x0 + 1, y0) - corner(x0, y0)) * sx;
+  const bottom = corner(x0, y0 + 1) + (corner(x0 + 1, y0 + 1) - corner(x0, y0 + 1)) * sx;
+  return top + (bottom - top) * sy;
+}
+
+function hashCell(x, y, seed) {
+  let h = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(seed + 1, 2147483647);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967295;
+}
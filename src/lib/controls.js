@@ -3,8 +3,10 @@ import * as THREE from 'three';
 /**
  * Click-and-drag mouselook + WASD movement controls for inverted sphere
  * Works without pointer lock (Flatpak compatible)
+ * @param {Function} getGroundRadius - optional (position) => radius of the
+ *   ground below, or null if unknown; keeps the camera above the terrain
  */
-export function setupControls(camera, domElement) {
+export function setupControls(camera, domElement, getGroundRadius = null) {
   let isDragging = false;
   let prevX = 0;
   let prevY = 0;
@@ -169,10 +171,11 @@ export function setupControls(camera, domElement) {
       if (keys.up) cameraRadius -= altitudeSpeed;   // Up = smaller radius = toward center
       if (keys.down) cameraRadius += altitudeSpeed; // Down = larger radius = away from center
 
-      // Clamp altitude (between 1km and 100km from surface)
-      // Globe is at 6371, terrain at 6363, so reasonable range is ~6260-6370
-      const minRadius = 6371 - 100; // 100km altitude
-      const maxRadius = 6371 - 1;   // 1km altitude
+      // Clamp altitude (between 1km above the ground and 100km above sea level)
+      // Sea level is at 6371; terrain rises toward the center from there
+      const groundRadius = getGroundRadius?.(camera.position) ?? 6371;
+      const minRadius = 6371 - 100;         // 100km altitude
+      const maxRadius = groundRadius - 1;   // 1km above the ground
       cameraRadius = Math.max(minRadius, Math.min(maxRadius, cameraRadius));
 
       // Normalize position to maintain current radius (altitude)
@@ -0,0 +1,32 @@
+/**
+ * Elevation tile encodings
+ * Raster elevation tiles pack height into RGB; each encoding names a decoder.
+ * Encodings are plain strings so they can be passed to workers.
+ */
+
+export const ELEVATION_DECODERS = {
+  // Mapbox Terrain-RGB: 0.1 m steps from -10000 m
+  mapbox: (r, g, b) => -10000 + ((r * 256 * 256 + g * 256 + b) * 0.1),
+
+  // Mapzen/AWS Terrarium: integer metres in R/G, fractional metres in B
+  terrarium: (r, g, b) => (r * 256 + g + b / 256) - 32768,
+};
+
+/**
+ * Decode one RGB sample to elevation in meters
+ * @param {string} encoding - key of ELEVATION_DECODERS
+ */
+export function decodeElevation(encoding, r, g, b) {
+  return getElevationDecoder(encoding)(r, g, b);
+}
+
+/**
+ * Look up a decoder function, for hot loops over many pixels
+ */
+export function getElevationDecoder(encoding) {
+  const decoder = ELEVATION_DECODERS[encoding];
+  if (!decoder) {
+    throw new Error(`Unknown elevation encoding: ${encoding}`);
+  }
+  return decoder;
+}
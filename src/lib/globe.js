@@ -1,145 +1,384 @@
 import * as THREE from 'three';
 import { atmosphereShaderChunk } from './atmosphere.js';
+import { bathymetryShaderChunk, floodingShaderChunk } from './bathymetry.js';
+import { cloudsShaderChunk } from './clouds.js';
+import { waterShaderChunk } from './water.js';
+import { loadNightTexture } from './nightLights.js';
+import { TERRAIN_STENCIL_REF } from './terrain.js';
+import { createDefaultProviders, loadTileImage, blobToImage, checkElevationProvider } from './tileProviders.js';
+import { getCachedTile, putCachedTile } from './tileCache.js';
+import { renderGlobeTexture, renderGlobeElevation, POLAR_BLEND_START } from './globeTexture.js';
+import { createWorkerPool } from './workerPool.js';
+import { createRequestScheduler } from './requestScheduler.js';
+
+// Default globe texture width (px); the height is half
+const GLOBE_TEXTURE_WIDTH = 4096;
+
+// Zoom of the elevation tiles the globe's elevation map is built from
+// (8x8 tiles, a 2048 x 1024 map from 256px tiles)
+const ELEVATION_ZOOM = 3;
+
+// Sphere segments once displaced (~80 km at the equator, a few texels of the
+// elevation map)
+const DISPLACED_WIDTH_SEGMENTS = 512;
+const DISPLACED_HEIGHT_SEGMENTS = 256;
+
+// Globe chunks: Web Mercator imagery tiles over the globe, split until they
+// are this fraction of the view tall or smaller (a 256px tile on a ~1000px
+// tall screen)
+const CHUNK_MIN_ZOOM = 2;
+const CHUNK_MAX_ZOOM = 8;
+const CHUNK_SCREEN_SIZE = 0.25;
+
+// Vertex spacing (km) chunks aim for, so displacement matches the globe
+const CHUNK_SEGMENT_KM = 80;
+const CHUNK_MIN_SEGMENTS = 8;
+
+// Room (km) around a chunk's sphere for displaced relief
+const CHUNK_RELIEF_MARGIN = 50;
+
+// Loaded chunks kept off screen for when the camera looks back
+const CHUNK_CACHE_SIZE = 128;
+
+// How often to re-split chunks against the camera (frames)
+const CHUNK_UPDATE_INTERVAL = 10;
+
+// Imagery downloads in flight at once
+const CHUNK_CONCURRENT_REQUESTS = 4;
+
+// Inverted sphere with day/night blending, atmospheric scattering and,
+// given an elevation map, bathymetry and displacement. Globe chunks
+// (USE_CHUNK) draw the same way, with imagery from their own tile.
+const GLOBE_VERTEX_SHADER = `
+  #ifdef USE_CHUNK
+  attribute vec2 aTileUv;
+  varying vec2 vTileUv;
+  #endif
+  #ifdef USE_DISPLACEMENT
+  uniform sampler2D elevationMap;
+  uniform float uBaseRadius;
+  uniform float uExaggeration;
+  uniform float uOceanFloor;
+  uniform float uSeaLevel;
+  ${floodingShaderChunk}
+  #endif
+
+  varying vec2 vUv;
+  varying vec3 vWorldPosition;
+
+  void main() {
+    vUv = uv;
+    #ifdef USE_CHUNK
+    // Chunks are built in world space, with uvs already on the global layout
+    vTileUv = aTileUv;
+    #else
+    // Flip U coordinate for BackSide rendering
+    vUv.x = 1.0 - vUv.x;
+    #endif
+
+    vec3 displaced = position;
+    #ifdef USE_DISPLACEMENT
+    // INVERTED WORLD: higher ground is closer to the centre, with the
+    // terrain tiles' exaggeration and flat ocean floor
+    float elevation = getSurfaceElevation(texture2D(elevationMap, vUv).r);
+    float elevationKm = max(elevation, uOceanFloor + uSeaLevel) / 1000.0 * uExaggeration;
+    displaced = normalize(position) * (uBaseRadius - elevationKm);
+    #endif
+
+    vec4 worldPos = modelMatrix * vec4(displaced, 1.0);
+    vWorldPosition = worldPos.xyz;
+    gl_Position = projectionMatrix * viewMatrix * worldPos;
+  }
+`;
+
+const GLOBE_FRAGMENT_SHADER = `
+  uniform sampler2D map;
+  uniform sampler2D nightMap;
+  ${atmosphereShaderChunk}
+  #ifdef USE_BATHYMETRY
+  uniform sampler2D elevationMap;
+  ${bathymetryShaderChunk}
+  #endif
+  #ifdef USE_DISPLACEMENT
+  uniform float uBaseRadius;
+  uniform float uExaggeration;
+  uniform float uOceanFloor;
+  uniform float uAmbient;
+  #endif
+  #ifdef USE_CLOUDS
+  ${cloudsShaderChunk}
+  #endif
+  #ifdef USE_WATER
+  ${waterShaderChunk}
+  #endif
+
+  varying vec2 vUv;
+  varying vec3 vWorldPosition;
+  #ifdef USE_CHUNK
+  varying vec2 vTileUv;
+  #endif
+
+  #ifdef USE_DISPLACEMENT
+  float getDisplacedElevation(vec2 uv) {
+    return max(getSurfaceElevation(texture2D(elevationMap, uv).r), uOceanFloor + uSeaLevel);
+  }
 
-// Mapbox API configuration
-const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN || '';
+  // Outward normal of the real (not inverted) relief, from the
+  // elevation map's slope east and north, as the terrain tiles shade
+  vec3 getReliefNormal() {
+    vec3 up = normalize(vWorldPosition);
+    vec3 north = normalize(vec3(0.0, 1.0, 0.0) - up * up.y);
+    vec3 east = cross(up, north);
+
+    // Texels are 360 / width degrees of longitude and 180 / height of
+    // latitude (u runs east, v north)
+    vec2 texel = 1.0 / vec2(textureSize(elevationMap, 0));
+    float cosLat = max(length(up.xz), 0.01);
+    vec2 texelKm = vec2(6.28318530718 * cosLat, 3.14159265359) * uBaseRadius * texel;
+    float dEast = getDisplacedElevation(vUv + vec2(texel.x, 0.0)) - getDisplacedElevation(vUv - vec2(texel.x, 0.0));
+    float dNorth = getDisplacedElevation(vUv + vec2(0.0, texel.y)) - getDisplacedElevation(vUv - vec2(0.0, texel.y));
+
+    // m of rise per km, exaggerated
+    vec2 slope = vec2(dEast, dNorth) / (2.0 * texelKm) / 1000.0 * uExaggeration;
+    return normalize(up - slope.x * east - slope.y * north);
+  }
+  #endif
+
+  void main() {
+    // Sample day and night textures
+    #ifdef USE_CHUNK
+    vec3 dayColor = texture2D(map, vTileUv).rgb;
+    #else
+    vec3 dayColor = texture2D(map, vUv).rgb;
+    #endif
+    vec3 nightColor = texture2D(nightMap, vUv).rgb;
+    vec3 imageryColor = dayColor;
+
+    #ifdef USE_BATHYMETRY
+    float elevation = texture2D(elevationMap, vUv).r;
+    dayColor = applyBathymetry(dayColor, elevation);
+    dayColor = applySeaLevel(dayColor, elevation);
+    nightColor *= 1.0 - getFlooding(elevation);
+    #endif
+
+    #ifdef USE_WATER
+    #ifdef USE_BATHYMETRY
+    float water = max(getWaterMask(imageryColor, elevation, uSeaLevel), getFlooding(elevation));
+    #else
+    float water = getImageryWater(imageryColor);
+    #endif
+    #endif
+
+    // Sunlight through the clouds' shadows
+    #ifdef USE_CLOUDS
+    float cloudLight = getCloudLight(vWorldPosition);
+    #else
+    float cloudLight = 1.0;
+    #endif
+
+    #ifdef USE_DISPLACEMENT
+    // Hillshading: lambert from the sun plus ambient
+    float diffuse = max(dot(getReliefNormal(), uSunDirection), 0.0);
+    dayColor *= uAmbient + (1.0 - uAmbient) * diffuse * cloudLight;
+    #else
+    dayColor *= cloudLight;
+    #endif
+
+    // Get day/night factor based on sun position
+    float dayFactor = getDayFactor(vWorldPosition);
+
+    // Boost city lights brightness for visibility
+    nightColor *= 2.0;
+
+    // Blend between night (city lights) and day (satellite)
+    vec3 surfaceColor = mix(nightColor, dayColor, dayFactor);
+
+    #ifdef USE_WATER
+    surfaceColor = applyWater(surfaceColor, vWorldPosition, water, cloudLight);
+    #endif
+
+    // Apply atmospheric scattering
+    vec3 finalColor = applyAtmosphere(surfaceColor, vWorldPosition);
+
+    gl_FragColor = vec4(finalColor, 1.0);
+  }
+`;
 
 /**
- * Create globe texture from Mapbox satellite tiles
- * Fetches low-zoom tiles and composites them into an equirectangular texture
+ * Create globe texture from satellite imagery tiles
+ * Fetches low-zoom tiles and reprojects them from Web Mercator to an
+ * equirectangular texture in a worker, with polar imagery blended in past
+ * the Mercator limit. The result is kept in the tile cache, so later loads
+ * skip the work.
+ * @param {Object} provider - imagery tile provider (see tileProviders.js)
+ * @param {number} width - texture width in pixels (height is half)
+ * @param {Object} polarProvider - polar imagery provider, optional
  */
-async function createMapboxGlobeTexture() {
-  const zoom = 3; // 8x8 = 64 tiles, good balance of coverage and quality
-  const tileSize = 256;
-  const numTiles = Math.pow(2, zoom);
-
-  const width = numTiles * tileSize;
-  const height = numTiles * tileSize;
-
-  const canvas = document.createElement('canvas');
-  canvas.width = width;
-  canvas.height = height;
-  const ctx = canvas.getContext('2d');
+async function createTileGlobeTexture(provider, width, polarProvider = null) {
+  // Source tiles about as detailed as the output (8x8 = 64 tiles at 4096)
+  const zoom = Math.max(0, Math.round(Math.log2(width / 512)));
+  const cacheSource = `${provider.name}${polarProvider ? `+${polarProvider.name}` : ''}.equirect-${width}`;
+
+  let blob = await getCachedTile(cacheSource, zoom, 0, 0);
+  if (blob) {
+    console.log('Globe texture read from cache');
+  } else {
+    const numTiles = Math.pow(2, zoom);
+    const tiles = await Promise.all(
+      Array.from({ length: numTiles * numTiles }, (_, i) => {
+        const x = i % numTiles;
+        const y = Math.floor(i / numTiles);
+        return provider.fetchTile(zoom, x, y)
+          .then(tile => ({ x, y, blob: tile }))
+          .catch(() => ({ x, y, blob: null }));
+      })
+    );
 
-  // Fill with ocean blue as fallback
-  ctx.fillStyle = '#1a4a6e';
-  ctx.fillRect(0, 0, width, height);
+    const caps = polarProvider ? await fetchPolarCaps(polarProvider, width) : [];
+    blob = await runGlobeTextureWorker(
+      { tiles, zoom, width, caps },
+      () => renderGlobeTexture(tiles, zoom, width, caps)
+    );
 
-  // Fetch all tiles
-  const tilePromises = [];
-  for (let y = 0; y < numTiles; y++) {
-    for (let x = 0; x < numTiles; x++) {
-      const url = `https://api.mapbox.com/v4/mapbox.satellite/${zoom}/${x}/${y}.jpg?access_token=${MAPBOX_TOKEN}`;
-      tilePromises.push(
-        loadImage(url)
-          .then(img => ({ x, y, img }))
-          .catch(() => ({ x, y, img: null }))
-      );
+    // Tiles that failed draw as ocean (and missing caps as flat colour);
+    // don't keep that for next time
+    if (tiles.every(tile => tile.blob) && caps.length === (polarProvider ? 2 : 0)) {
+      putCachedTile(cacheSource, zoom, 0, 0, blob);
     }
   }
 
-  const tiles = await Promise.all(tilePromises);
+  const texture = new THREE.Texture(await blobToImage(blob));
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.needsUpdate = true;
+  return texture;
+}
 
-  // Draw tiles to canvas (Web Mercator projection)
-  for (const tile of tiles) {
-    if (tile.img) {
-      ctx.drawImage(tile.img, tile.x * tileSize, tile.y * tileSize, tileSize, tileSize);
-    }
-  }
+/**
+ * Globe texture straight from an equirectangular provider's image
+ * @param {Object} provider - equirectangular provider (see tileProviders.js)
+ */
+async function createImageGlobeTexture(provider) {
+  const texture = new THREE.Texture(await blobToImage(await provider.fetchImage()));
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.needsUpdate = true;
+  return texture;
+}
 
-  // Now we need to convert from Web Mercator to Equirectangular
-  // Create a new canvas for the equirectangular output
-  const eqWidth = 4096;
-  const eqHeight = 2048;
-  const eqCanvas = document.createElement('canvas');
-  eqCanvas.width = eqWidth;
-  eqCanvas.height = eqHeight;
-  const eqCtx = eqCanvas.getContext('2d');
-
-  // Fill with ocean blue
-  eqCtx.fillStyle = '#1a4a6e';
-  eqCtx.fillRect(0, 0, eqWidth, eqHeight);
-
-  // Get source image data
-  const srcData = ctx.getImageData(0, 0, width, height);
-  const dstData = eqCtx.createImageData(eqWidth, eqHeight);
-
-  // Pre-fill with appropriate colors for polar regions
-  // Web Mercator can't represent beyond ~85° latitude
-  const mercatorLimit = 85;
-  for (let y = 0; y < eqHeight; y++) {
-    const lat = 90 - (y / eqHeight) * 180;
-    let r, g, b;
-
-    if (lat > mercatorLimit) {
-      // Arctic - ocean with some ice (bluish-white)
-      r = 180; g = 200; b = 220;
-    } else if (lat < -mercatorLimit) {
-      // Antarctica - ice sheet (white with slight blue tint)
-      r = 240; g = 245; b = 250;
-    } else {
-      // Ocean blue fallback
-      r = 26; g = 74; b = 110;
-    }
+/**
+ * Fetch both polar caps, from POLAR_BLEND_START to the pole, at the globe
+ * texture's resolution; caps that fail to load are left out
+ */
+async function fetchPolarCaps(provider, width) {
+  const capHeight = Math.ceil((width / 2) * (90 - POLAR_BLEND_START) / 180);
+  const caps = await Promise.all([
+    [POLAR_BLEND_START, 90],
+    [-90, -POLAR_BLEND_START],
+  ].map(([south, north]) => provider.fetchCap(south, north, width, capHeight).catch((error) => {
+    console.warn(`Failed to load polar imagery ${south}° to ${north}° from ${provider.name}:`, error);
+    return null;
+  })));
+  return caps.filter(Boolean);
+}
 
-    for (let x = 0; x < eqWidth; x++) {
-      const idx = (y * eqWidth + x) * 4;
-      dstData.data[idx] = r;
-      dstData.data[idx + 1] = g;
-      dstData.data[idx + 2] = b;
-      dstData.data[idx + 3] = 255;
+/**
+ * Run a job in a globe texture worker (see globeTextureWorker.js), or the
+ * fallback on the main thread without one
+ */
+async function runGlobeTextureWorker(message, fallback) {
+  if (typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined') {
+    const pool = createWorkerPool(
+      () => new Worker(new URL('./globeTextureWorker.js', import.meta.url), { type: 'module' }),
+      1
+    );
+    try {
+      return await pool.run(message);
+    } catch (error) {
+      console.warn('Globe texture worker failed, running on the main thread:', error);
+    } finally {
+      pool.dispose();
     }
   }
+  return fallback();
+}
 
-  // Convert Web Mercator to Equirectangular
-  for (let dstY = 0; dstY < eqHeight; dstY++) {
-    // Equirectangular latitude (-90 to 90)
-    const lat = 90 - (dstY / eqHeight) * 180;
-
-    // Convert to Web Mercator y
-    const latRad = lat * Math.PI / 180;
-    const mercY = Math.log(Math.tan(Math.PI / 4 + latRad / 2));
-    // Normalize to 0-1 range (Mercator goes from -PI to PI for valid latitudes)
-    const normalizedMercY = (1 - mercY / Math.PI) / 2;
-
-    // Skip if outside Mercator bounds (~85°)
-    if (normalizedMercY < 0 || normalizedMercY > 1) continue;
-
-    const srcY = Math.floor(normalizedMercY * height);
-    if (srcY < 0 || srcY >= height) continue;
-
-    for (let dstX = 0; dstX < eqWidth; dstX++) {
-      // Longitude maps directly (both are linear in X)
-      const srcX = Math.floor((dstX / eqWidth) * width);
+/**
+ * Create a global elevation texture (meters) from low-zoom elevation tiles
+ * Same equirectangular layout as the globe texture, rows stored south first.
+ * Reprojected in a worker and kept in the tile cache, like the globe texture.
+ * @param {Object} provider - elevation tile provider (see tileProviders.js)
+ */
+async function createGlobeElevationTexture(provider) {
+  const cacheSource = `${provider.name}.elevation-equirect`;
+
+  let elevation;
+  const blob = await getCachedTile(cacheSource, ELEVATION_ZOOM, 0, 0);
+  if (blob) {
+    // Half floats, twice as wide as tall
+    const data = new Uint16Array(await blob.arrayBuffer());
+    const width = Math.round(Math.sqrt(data.length * 2));
+    elevation = { data, width, height: width / 2 };
+    console.log('Globe elevation read from cache');
+  } else {
+    const numTiles = Math.pow(2, ELEVATION_ZOOM);
+    const tiles = await Promise.all(
+      Array.from({ length: numTiles * numTiles }, (_, i) => {
+        const x = i % numTiles;
+        const y = Math.floor(i / numTiles);
+        return provider.fetchTile(ELEVATION_ZOOM, x, y)
+          .then(tile => ({ x, y, blob: tile }))
+          .catch((error) => {
+            console.warn(`Failed to load globe elevation tile ${ELEVATION_ZOOM}/${x}/${y}:`, error);
+            return { x, y, blob: null };
+          });
+      })
+    );
 
-      const srcIdx = (srcY * width + srcX) * 4;
-      const dstIdx = (dstY * eqWidth + dstX) * 4;
+    elevation = await runGlobeTextureWorker(
+      { tiles, zoom: ELEVATION_ZOOM, elevation: provider.encoding },
+      () => renderGlobeElevation(tiles, ELEVATION_ZOOM, provider.encoding)
+    );
 
-      dstData.data[dstIdx] = srcData.data[srcIdx];
-      dstData.data[dstIdx + 1] = srcData.data[srcIdx + 1];
-      dstData.data[dstIdx + 2] = srcData.data[srcIdx + 2];
-      dstData.data[dstIdx + 3] = 255;
+    // Missing tiles read as sea level; don't keep that for next time
+    if (tiles.every(tile => tile.blob)) {
+      putCachedTile(cacheSource, ELEVATION_ZOOM, 0, 0, new Blob([elevation.data]));
     }
   }
 
-  eqCtx.putImageData(dstData, 0, 0);
-
-  const texture = new THREE.CanvasTexture(eqCanvas);
-  texture.colorSpace = THREE.SRGBColorSpace;
+  const texture = new THREE.DataTexture(elevation.data, elevation.width, elevation.height, THREE.RedFormat, THREE.HalfFloatType);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.needsUpdate = true;
   return texture;
 }
 
 /**
- * Load an image
+ * Load the globe's elevation map in the background, once. Bathymetry, sea
+ * level changes and displacement (see addGlobeDisplacement) show on the
+ * globe once it's in.
  */
-function loadImage(url) {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
-    img.onload = () => resolve(img);
-    img.onerror = reject;
-    img.src = url;
-  });
+function loadGlobeElevation(globe) {
+  const { userData } = globe;
+  if (userData.elevationPromise) return userData.elevationPromise;
+
+  const provider = userData.elevationProvider;
+  console.log(`Loading globe elevation from ${provider.name}...`);
+  userData.elevationPromise = Promise.resolve(provider.ready)
+    .then(() => createGlobeElevationTexture(provider))
+    .then((texture) => {
+      const { material } = globe;
+      material.uniforms.elevationMap.value = texture;
+      material.defines.USE_BATHYMETRY = '';
+      if (userData.displacementUniforms) applyGlobeDisplacement(globe, userData.displacementUniforms);
+      material.needsUpdate = true;
+      console.log('Globe elevation loaded');
+      return true;
+    })
+    .catch((error) => {
+      console.warn('Failed to load globe elevation, no bathymetry or relief on the globe', error);
+      return false;
+    });
+  return userData.elevationPromise;
 }
 
 function createGridTexture(width = 2048, height = 1024) {
@@ -214,34 +453,27 @@ function createGridTexture(width = 2048, height = 1024) {
   return texture;
 }
 
-/**
- * Load the night lights texture
- */
-async function loadNightTexture() {
-  return new Promise((resolve, reject) => {
-    const loader = new THREE.TextureLoader();
-    loader.load(
-      `${import.meta.env.BASE_URL}textures/earth_nightmap.jpg`,
-      (texture) => {
-        texture.colorSpace = THREE.SRGBColorSpace;
-        // Flip horizontally to match the day texture
-        texture.wrapS = THREE.RepeatWrapping;
-        texture.repeat.x = -1;
-        resolve(texture);
-      },
-      undefined,
-      reject
-    );
-  });
-}
-
 /**
  * Creates an inverted Earth sphere - we're on the inside looking in
  * @param {number} radius - Earth radius in km
  * @param {boolean} useDebugTexture - Use debug grid texture
- * @param {Object} atmosphereUniforms - Atmosphere uniforms for shader
+ * @param {Object} providers - tile providers; uses globeImagery, else imagery,
+ *   with polarImagery past the Mercator limit (and globeElevation, else
+ *   elevation, for bathymetry and displacement; a Terrarium provider has
+ *   ETOPO1 bathymetry)
+ * @param {Object} options.atmosphere - Atmosphere uniforms for shader
+ * @param {Object} options.bathymetry - bathymetry uniforms for shader (see bathymetry.js)
+ * @param {number} options.textureWidth - width (px) of the globe texture; height is half
+ * @param {Object} options.clouds - cloud layer uniforms, for its shadows (see clouds.js)
+ * @param {Object} options.water - water uniforms for shader (see water.js)
  */
-export async function createGlobe(radius, useDebugTexture = false, atmosphereUniforms = null) {
+export async function createGlobe(radius, useDebugTexture = false, providers = createDefaultProviders(), {
+  atmosphere = null,
+  bathymetry = null,
+  textureWidth = GLOBE_TEXTURE_WIDTH,
+  clouds = null,
+  water = null,
+} = {}) {
   // High segment count for smooth sphere at this scale
   const geometry = new THREE.SphereGeometry(radius, 128, 64);
 
@@ -250,85 +482,56 @@ export async function createGlobe(radius, useDebugTexture = false, atmosphereUni
   let nightTexture;
 
   try {
-    // Use Mapbox satellite tiles for consistency with terrain
-    console.log('Loading Mapbox globe texture...');
-    dayTexture = await createMapboxGlobeTexture();
+    // Use the same imagery source as the terrain for consistency
+    const imagery = providers?.globeImagery || providers?.imagery;
+    if (!imagery) {
+      throw new Error('No imagery provider');
+    }
+    console.log(`Loading globe texture from ${imagery.name}...`);
+    await imagery.ready;
+    dayTexture = imagery.fetchImage
+      ? await createImageGlobeTexture(imagery)
+      : await createTileGlobeTexture(imagery, textureWidth, providers.polarImagery);
 
     // Flip texture horizontally for BackSide rendering
     dayTexture.wrapS = THREE.RepeatWrapping;
     dayTexture.repeat.x = -1;
-    console.log('Mapbox globe texture loaded');
+    console.log('Globe texture loaded');
   } catch (error) {
-    console.warn('Failed to load Mapbox globe texture, using grid fallback', error);
+    console.warn('Failed to load globe texture, using grid fallback', error);
     dayTexture = createGridTexture();
   }
 
-  // Load night lights texture
-  try {
-    console.log('Loading night lights texture...');
-    nightTexture = await loadNightTexture();
-    console.log('Night lights texture loaded');
-  } catch (error) {
-    console.warn('Failed to load night lights texture', error);
-    // Create a simple dark texture as fallback
-    const canvas = document.createElement('canvas');
-    canvas.width = 64;
-    canvas.height = 32;
-    const ctx = canvas.getContext('2d');
-    ctx.fillStyle = '#000510';
-    ctx.fillRect(0, 0, 64, 32);
-    nightTexture = new THREE.CanvasTexture(canvas);
+  // Load night lights texture (shared with the terrain)
+  nightTexture = await loadNightTexture();
+
+  // Ocean depths for bathymetry, the sea level and displacement; loaded in
+  // the background once one of them is used (see loadGlobeElevation)
+  let elevation = null;
+  if (atmosphere && bathymetry) {
+    elevation = providers?.globeElevation || providers?.elevation || null;
+    if (elevation) checkElevationProvider(elevation);
   }
 
-  if (atmosphereUniforms) {
+  if (atmosphere) {
+    const defines = {};
+    if (clouds) defines.USE_CLOUDS = '';
+    if (water) defines.USE_WATER = '';
+
     // Use atmospheric scattering shader with day/night blending
     material = new THREE.ShaderMaterial({
       uniforms: {
         map: { value: dayTexture },
         nightMap: { value: nightTexture },
-        ...atmosphereUniforms
+        elevationMap: { value: null },
+        ...atmosphere,
+        ...bathymetry,
+        ...clouds,
+        ...water
       },
-      vertexShader: `
-        varying vec2 vUv;
-        varying vec3 vWorldPosition;
-
-        void main() {
-          vUv = uv;
-          // Flip U coordinate for BackSide rendering
-          vUv.x = 1.0 - vUv.x;
-          vec4 worldPos = modelMatrix * vec4(position, 1.0);
-          vWorldPosition = worldPos.xyz;
-          gl_Position = projectionMatrix * viewMatrix * worldPos;
-        }
-      `,
-      fragmentShader: `
-        uniform sampler2D map;
-        uniform sampler2D nightMap;
-        ${atmosphereShaderChunk}
-
-        varying vec2 vUv;
-        varying vec3 vWorldPosition;
-
-        void main() {
-          // Sample day and night textures
-          vec3 dayColor = texture2D(map, vUv).rgb;
-          vec3 nightColor = texture2D(nightMap, vUv).rgb;
-
-          // Get day/night factor based on sun position
-          float dayFactor = getDayFactor(vWorldPosition);
-
-          // Boost city lights brightness for visibility
-          nightColor *= 2.0;
-
-          // Blend between night (city lights) and day (satellite)
-          vec3 surfaceColor = mix(nightColor, dayColor, dayFactor);
-
-          // Apply atmospheric scattering
-          vec3 finalColor = applyAtmosphere(surfaceColor, vWorldPosition);
-
-          gl_FragColor = vec4(finalColor, 1.0);
-        }
-      `,
+      defines,
+      vertexShader: GLOBE_VERTEX_SHADER,
+      fragmentShader: GLOBE_FRAGMENT_SHADER,
       side: THREE.BackSide,
     });
   } else {
@@ -338,24 +541,429 @@ export async function createGlobe(radius, useDebugTexture = false, atmosphereUni
     });
   }
 
+  // Don't draw over terrain tiles, which sit at the same radius
+  Object.assign(material, {
+    stencilWrite: true,
+    stencilRef: TERRAIN_STENCIL_REF,
+    stencilFunc: THREE.NotEqualStencilFunc,
+  });
+
   const globe = new THREE.Mesh(geometry, material);
   globe.name = 'globe';
 
+  // Draw after the terrain and globe chunks have marked the stencil buffer
+  globe.renderOrder = 2;
+
   // Rotate so lon=0° aligns with +Z axis
   globe.rotation.y = -Math.PI / 2;
 
+  // Start on the elevation map once the bathymetry is turned on, the sea
+  // level moves or the globe is displaced
+  if (elevation) {
+    globe.userData.elevationProvider = elevation;
+    globe.onBeforeRender = () => {
+      const { uBathymetry, uSeaLevel } = bathymetry;
+      if (uBathymetry.value > 0 || uSeaLevel.value !== 0 || globe.userData.displacementUniforms) {
+        delete globe.onBeforeRender;
+        loadGlobeElevation(globe);
+      }
+    };
+  }
+
   return globe;
 }
 
 /**
- * Future: Add heightmap displacement to the globe
+ * Displace the globe by its elevation map, sharing the terrain's base
+ * radius, exaggeration, ocean floor and ambient light so the tiles blend
+ * into matching relief; the relief is hillshaded from the sun. The relief
+ * rises once the elevation map has loaded in the background.
+ * @param {THREE.Mesh} globe - from createGlobe
+ * @param {Object} terrainUniforms - terrain.uniforms (see createTerrain)
+ * @returns {boolean} whether the globe will be displaced (it needs
+ *   atmosphere and bathymetry uniforms and an elevation provider)
+ */
+export function addGlobeDisplacement(globe, terrainUniforms) {
+  if (!terrainUniforms || !globe.userData.elevationProvider) {
+    console.warn('Globe displacement needs the terrain and a globe elevation provider');
+    return false;
+  }
+
+  globe.userData.displacementUniforms = terrainUniforms;
+  if (globe.material.uniforms.elevationMap.value) {
+    applyGlobeDisplacement(globe, terrainUniforms);
+  }
+  return true;
+}
+
+/**
+ * Switch the globe to its displaced shader and finer sphere
+ */
+function applyGlobeDisplacement(globe, terrainUniforms) {
+  const { material } = globe;
+  const { uBaseRadius, uExaggeration, uOceanFloor, uAmbient, uGlobeRelief } = terrainUniforms;
+  Object.assign(material.uniforms, { uBaseRadius, uExaggeration, uOceanFloor, uAmbient });
+  material.defines.USE_DISPLACEMENT = '';
+  material.needsUpdate = true;
+
+  // The terrain keeps its relief across the blend band to meet the globe's
+  uGlobeRelief.value = 1;
+
+  // Finer sphere to carry the relief
+  const { radius } = globe.geometry.parameters;
+  globe.geometry.dispose();
+  globe.geometry = new THREE.SphereGeometry(radius, DISPLACED_WIDTH_SEGMENTS, DISPLACED_HEIGHT_SEGMENTS);
+}
+
+/**
+ * Level-of-detail imagery for the globe
+ * The globe is covered by Web Mercator tile chunks, each drawn with its own
+ * imagery tile. Chunks in view are split until they're small on screen, so
+ * features across the void sharpen where the camera looks. The single
+ * texture globe shows wherever chunks are still loading, and past the
+ * Mercator limit at the poles. Call update(camera) every frame.
+ * @param {THREE.Mesh} globe - from createGlobe, with its atmosphere shader
+ * @param {Object} providers - tile providers; uses globeImagery, else imagery
+ * @param {Object} terrainUniforms - terrain.uniforms; chunks hidden under
+ *   the terrain patches aren't split
+ * @returns {Object} controller with the chunk group
  */
-export function addGlobeDisplacement(globe, heightmapUrl, displacementScale = 10) {
-  const textureLoader = new THREE.TextureLoader();
+export function createGlobeChunks(globe, providers, terrainUniforms = null) {
+  const group = new THREE.Group();
+  group.name = 'globe-chunks';
+
+  const inactive = { group, update() {}, getStats() { return { loaded: 0, visible: 0, pending: 0 }; } };
+
+  const imagery = providers?.globeImagery || providers?.imagery;
+  if (!imagery || !globe.material.isShaderMaterial) {
+    console.warn('Globe chunks need an imagery provider and the atmosphere shader');
+    return inactive;
+  }
+  // The globe texture is already the whole of an equirectangular image
+  if (imagery.fetchImage) {
+    console.log(`Globe chunks off, ${imagery.name} has no more detail than the globe texture`);
+    return inactive;
+  }
 
-  textureLoader.load(heightmapUrl, (heightmap) => {
-    globe.material.displacementMap = heightmap;
-    globe.material.displacementScale = displacementScale;
-    globe.material.needsUpdate = true;
+  const radius = globe.geometry.parameters.radius;
+  const minZoom = Math.max(CHUNK_MIN_ZOOM, imagery.minZoom ?? 0);
+  const maxZoom = Math.min(CHUNK_MAX_ZOOM, imagery.maxZoom ?? CHUNK_MAX_ZOOM);
+
+  // Chunks by key: { tile, state: 'loading' | 'ready' | 'failed', mesh, lastUsed }
+  const chunks = new Map();
+  const bounds = new Map();
+  const scheduler = createRequestScheduler({ concurrency: CHUNK_CONCURRENT_REQUESTS });
+
+  // The coarsest chunks stay loaded, to stand in for any finer ones
+  const baseTiles = [];
+  for (let x = 0; x < Math.pow(2, minZoom); x++) {
+    for (let y = 0; y < Math.pow(2, minZoom); y++) {
+      baseTiles.push({ x, y, z: minZoom });
+    }
+  }
+  const baseKeys = new Set(baseTiles.map(getChunkKey));
+
+  let leafTiles = baseTiles;
+  let frameCount = 0;
+
+  // One material for every chunk, drawn like the globe; each chunk swaps in
+  // its own map as it's drawn (see applyChunkMap)
+  const material = new THREE.ShaderMaterial({
+    vertexShader: GLOBE_VERTEX_SHADER,
+    fragmentShader: GLOBE_FRAGMENT_SHADER,
+    side: THREE.DoubleSide,
+    // Claim the pixels drawn, so the globe and coarser chunks skip them
+    stencilWrite: true,
+    stencilRef: TERRAIN_STENCIL_REF,
+    stencilFunc: THREE.NotEqualStencilFunc,
+    stencilZPass: THREE.ReplaceStencilOp,
   });
+  let materialVersion = -1;
+
+  // Follow the globe's uniforms and defines (e.g. after addGlobeDisplacement)
+  function syncMaterial() {
+    if (globe.material.version === materialVersion) return;
+    materialVersion = globe.material.version;
+    material.uniforms = { ...globe.material.uniforms, map: { value: null } };
+    material.defines = { ...globe.material.defines, USE_CHUNK: '' };
+    material.needsUpdate = true;
+  }
+
+  function getBounds(tile) {
+    const key = getChunkKey(tile);
+    let sphere = bounds.get(key);
+    if (!sphere) {
+      sphere = getChunkBounds(tile, radius);
+      bounds.set(key, sphere);
+    }
+    return sphere;
+  }
+
+  /**
+   * Whether a chunk lies well inside a terrain patch, where it's never seen
+   */
+  function isUnderTerrain(sphere) {
+    if (!terrainUniforms) return false;
+    const { uCoverageCenters, uCoverageRadii, uCoverageCount, uBlendBand } = terrainUniforms;
+    const direction = sphere.center.clone().normalize();
+    for (let i = 0; i < uCoverageCount.value; i++) {
+      const angle = Math.acos(THREE.MathUtils.clamp(direction.dot(uCoverageCenters.value[i]), -1, 1));
+      if (angle * radius + sphere.radius < uCoverageRadii.value[i] - uBlendBand.value) return true;
+    }
+    return false;
+  }
+
+  function collectChunks(tile, view, leaves) {
+    const sphere = getBounds(tile);
+    const inView = view.frustum.intersectsSphere(sphere);
+    const distance = Math.max(view.position.distanceTo(sphere.center) - sphere.radius, 1);
+    const screenSize = (2 * sphere.radius / distance) / view.fovRad;
+
+    if (inView && tile.z < maxZoom && screenSize > CHUNK_SCREEN_SIZE && !isUnderTerrain(sphere)) {
+      for (const child of getChildTiles(tile)) collectChunks(child, view, leaves);
+    } else {
+      leaves.push({ ...tile, inView });
+    }
+  }
+
+  function requestChunk(tile) {
+    const key = getChunkKey(tile);
+    if (chunks.has(key)) return;
+
+    const entry = { tile, state: 'loading', mesh: null, lastUsed: frameCount };
+    chunks.set(key, entry);
+
+    // Coarse chunks first, then what's in view
+    const priority = tile.z + (tile.inView === false ? maxZoom : 0);
+    scheduler.request(key, signal => loadTileImage(imagery, tile.z, tile.x, tile.y, signal), priority)
+      .then(image => {
+        if (chunks.get(key) !== entry) return;
+        entry.mesh = createChunkMesh(tile, image, radius, material, getBounds(tile));
+        entry.state = 'ready';
+        group.add(entry.mesh);
+        updateVisibility();
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        console.warn(`Failed to load globe chunk ${key}:`, error.message || error);
+        if (chunks.get(key) === entry) entry.state = 'failed';
+      });
+  }
+
+  /**
+   * Show each leaf, or its closest loaded ancestor while it loads
+   */
+  function updateVisibility() {
+    const shown = new Set();
+    for (const leaf of leafTiles) {
+      for (let tile = leaf; tile; tile = getParentTile(tile, minZoom)) {
+        const key = getChunkKey(tile);
+        if (chunks.get(key)?.state === 'ready') {
+          shown.add(key);
+          break;
+        }
+      }
+    }
+
+    for (const [key, entry] of chunks) {
+      if (!entry.mesh) continue;
+      entry.mesh.visible = shown.has(key);
+      if (entry.mesh.visible) entry.lastUsed = frameCount;
+    }
+  }
+
+  /**
+   * Cancel chunks no longer wanted, and drop the least recently shown
+   * loaded ones past the cache size
+   */
+  function pruneChunks(leafKeys) {
+    const cached = [];
+    for (const [key, entry] of chunks) {
+      if (leafKeys.has(key) || baseKeys.has(key)) continue;
+      if (entry.state === 'loading') {
+        scheduler.cancel(key);
+        chunks.delete(key);
+      } else if (entry.state === 'failed') {
+        chunks.delete(key);
+      } else if (!entry.mesh.visible) {
+        cached.push([key, entry]);
+      }
+    }
+
+    cached.sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    for (const [key, entry] of cached.slice(0, Math.max(cached.length - CHUNK_CACHE_SIZE, 0))) {
+      group.remove(entry.mesh);
+      disposeChunkMesh(entry.mesh);
+      chunks.delete(key);
+    }
+  }
+
+  syncMaterial();
+  for (const tile of baseTiles) requestChunk(tile);
+
+  const frustum = new THREE.Frustum();
+  const viewProjection = new THREE.Matrix4();
+
+  return {
+    group,
+
+    // Call this each frame; chunks are re-split every few frames
+    update(camera) {
+      syncMaterial();
+      if (++frameCount % CHUNK_UPDATE_INTERVAL !== 0) return;
+
+      camera.updateMatrixWorld();
+      viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+      frustum.setFromProjectionMatrix(viewProjection);
+      const view = { frustum, position: camera.position, fovRad: THREE.MathUtils.degToRad(camera.fov ?? 60) };
+
+      const leaves = [];
+      for (const tile of baseTiles) collectChunks(tile, view, leaves);
+      leafTiles = leaves;
+
+      for (const tile of leafTiles) requestChunk(tile);
+      pruneChunks(new Set(leafTiles.map(getChunkKey)));
+      updateVisibility();
+    },
+
+    // Loaded, visible and pending chunk counts
+    getStats() {
+      let loaded = 0;
+      let visible = 0;
+      for (const { mesh } of chunks.values()) {
+        if (!mesh) continue;
+        loaded++;
+        if (mesh.visible) visible++;
+      }
+      return { loaded, visible, pending: scheduler.pending };
+    },
+  };
+}
+
+function getChunkKey({ x, y, z }) {
+  return `${z}/${x}/${y}`;
+}
+
+function getChildTiles({ x, y, z }) {
+  return [
+    { x: x * 2, y: y * 2, z: z + 1 },
+    { x: x * 2 + 1, y: y * 2, z: z + 1 },
+    { x: x * 2, y: y * 2 + 1, z: z + 1 },
+    { x: x * 2 + 1, y: y * 2 + 1, z: z + 1 },
+  ];
+}
+
+// Parent of a tile, or null at the coarsest chunk zoom
+function getParentTile({ x, y, z }, minZoom) {
+  return z > minZoom ? { x: x >> 1, y: y >> 1, z: z - 1 } : null;
+}
+
+/**
+ * Position on the globe at a point of a tile, as fractions (0..1) of the
+ * tile east and south
+ */
+function getChunkPoint(tile, u, v, radius, target = new THREE.Vector3()) {
+  const n = Math.pow(2, tile.z);
+  const lon = (tile.x + u) / n * 360 - 180;
+  const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * (tile.y + v) / n))) * 180 / Math.PI;
+
+  // INVERTED WORLD: same mapping as the terrain tiles
+  const phi = (90 - lat) * Math.PI / 180;
+  const theta = -lon * Math.PI / 180;
+  target.set(
+    radius * Math.sin(phi) * Math.sin(theta),
+    radius * Math.cos(phi),
+    radius * Math.sin(phi) * Math.cos(theta)
+  );
+  return { lat, lon, position: target };
+}
+
+/**
+ * Bounding sphere of a chunk, from a grid of points over it plus room for relief
+ */
+function getChunkBounds(tile, radius) {
+  const points = [];
+  for (let j = 0; j <= 8; j++) {
+    for (let i = 0; i <= 8; i++) {
+      points.push(getChunkPoint(tile, i / 8, j / 8, radius).position);
+    }
+  }
+  const sphere = new THREE.Sphere().setFromPoints(points);
+  sphere.radius += CHUNK_RELIEF_MARGIN;
+  return sphere;
+}
+
+/**
+ * Grid segments across a chunk, for vertices about CHUNK_SEGMENT_KM apart
+ */
+function getChunkSegments(zoom, radius) {
+  const widthKm = 2 * Math.PI * radius / Math.pow(2, zoom);
+  return Math.max(CHUNK_MIN_SEGMENTS, Math.pow(2, Math.ceil(Math.log2(widthKm / CHUNK_SEGMENT_KM))));
+}
+
+/**
+ * Build a chunk mesh in world space: rows are even in Mercator y, like the
+ * imagery, and uvs follow the globe's equirectangular layout so the global
+ * night, elevation and bathymetry maps line up
+ */
+function createChunkMesh(tile, image, radius, material, sphere) {
+  const segments = getChunkSegments(tile.z, radius);
+  const columns = segments + 1;
+
+  const positions = new Float32Array(columns * columns * 3);
+  const uvs = new Float32Array(columns * columns * 2);
+  const tileUvs = new Float32Array(columns * columns * 2);
+  const point = new THREE.Vector3();
+
+  for (let j = 0; j <= segments; j++) {
+    for (let i = 0; i <= segments; i++) {
+      const index = j * columns + i;
+      const { lat, lon } = getChunkPoint(tile, i / segments, j / segments, radius, point);
+      point.toArray(positions, index * 3);
+      uvs[index * 2] = (lon + 180) / 360;
+      uvs[index * 2 + 1] = (lat + 90) / 180;
+      tileUvs[index * 2] = i / segments;
+      tileUvs[index * 2 + 1] = 1 - j / segments;
+    }
+  }
+
+  const indices = [];
+  for (let j = 0; j < segments; j++) {
+    for (let i = 0; i < segments; i++) {
+      const a = j * columns + i;
+      indices.push(a, a + columns, a + 1, a + 1, a + columns, a + columns + 1);
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+  geometry.setAttribute('aTileUv', new THREE.BufferAttribute(tileUvs, 2));
+  geometry.setIndex(indices);
+  geometry.boundingSphere = sphere.clone();
+
+  const texture = new THREE.Texture(image);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.needsUpdate = true;
+
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = `globe-chunk-${tile.z}-${tile.x}-${tile.y}`;
+  mesh.userData.map = texture;
+  mesh.onBeforeRender = applyChunkMap;
+
+  // After the terrain, finer chunks first so they claim the stencil over
+  // coarser ones standing in around them; the globe draws last
+  mesh.renderOrder = 1 - tile.z / 100;
+  return mesh;
+}
+
+// onBeforeRender: draw the shared chunk material with this chunk's imagery
+function applyChunkMap(renderer, scene, camera, geometry, material) {
+  material.uniforms.map.value = this.userData.map;
+  material.uniformsNeedUpdate = true;
+}
+
+function disposeChunkMesh(mesh) {
+  mesh.geometry.dispose();
+  mesh.userData.map.dispose();
 }
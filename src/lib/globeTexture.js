@@ -0,0 +1,238 @@
+import { DataUtils } from 'three';
+import { decodeHeightmap, sampleHeightmap } from './tileMesh.js';
+
+/**
+ * Equirectangular globe imagery and elevation from Web Mercator tiles
+ * Shared by the globe texture worker and its main-thread fallback, so it
+ * only uses canvas APIs available in both (OffscreenCanvas when it exists).
+ */
+
+// Web Mercator tiles stop at this latitude
+const MERCATOR_LIMIT = 85.0511;
+
+// Polar imagery fades in from this latitude to the Mercator limit, so the
+// two sources' colours blend rather than meet at a seam
+export const POLAR_BLEND_START = 80;
+
+// Fills where there's no imagery: missing tiles, and past the Mercator limit
+const OCEAN_COLOR = [26, 74, 110];
+const ARCTIC_COLOR = [180, 200, 220];     // Ocean with some ice (bluish-white)
+const ANTARCTIC_COLOR = [240, 245, 250];  // Ice sheet (white with slight blue tint)
+
+// Quality of the encoded result (it's cached, so kept compact)
+const JPEG_QUALITY = 0.92;
+
+/**
+ * Composite tiles into one Web Mercator image and reproject it
+ * @param {Array} tiles - [{ x, y, blob }] at zoom; tiles without a blob draw as ocean
+ * @param {number} zoom - zoom level of the tiles
+ * @param {number} width - output width in pixels (height is half)
+ * @param {Array} caps - polar imagery, [{ blob, south, north }] equirectangular
+ *   over all longitudes (see polar providers in tileProviders.js); without
+ *   one, the poles are flat colour
+ * @returns {Promise<Blob>} equirectangular JPEG, rows from the north
+ */
+export async function renderGlobeTexture(tiles, zoom, width, caps = []) {
+  const images = await Promise.all(tiles.map(async (tile) => ({
+    ...tile,
+    bitmap: tile.blob ? await createImageBitmap(tile.blob).catch(() => null) : null,
+  })));
+
+  const tileSize = images.find(tile => tile.bitmap)?.bitmap.width ?? 256;
+  const size = tileSize * Math.pow(2, zoom);
+
+  const mercatorCanvas = createCanvas(size, size);
+  const mercatorCtx = mercatorCanvas.getContext('2d');
+  mercatorCtx.fillStyle = `rgb(${OCEAN_COLOR.join(',')})`;
+  mercatorCtx.fillRect(0, 0, size, size);
+  for (const { x, y, bitmap } of images) {
+    if (!bitmap) continue;
+    mercatorCtx.drawImage(bitmap, x * tileSize, y * tileSize, tileSize, tileSize);
+    bitmap.close();
+  }
+
+  const height = width / 2;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const target = ctx.createImageData(width, height);
+  reprojectMercator(mercatorCtx.getImageData(0, 0, size, size), target);
+  blendPolarCaps(target, await Promise.all(caps.map(decodeCap)));
+  ctx.putImageData(target, 0, 0);
+
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type: 'image/jpeg', quality: JPEG_QUALITY });
+  }
+  return new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', JPEG_QUALITY));
+}
+
+/**
+ * Stitch elevation tiles into one Web Mercator heightmap and reproject it
+ * Latitudes past the Web Mercator limit repeat the last row.
+ * @param {Array} tiles - [{ x, y, blob }] at zoom; tiles without a blob
+ *   (or that fail to decode) read as sea level
+ * @param {number} zoom - zoom level of the tiles
+ * @param {string} encoding - elevation encoding (see elevation.js)
+ * @returns {Promise<Object>} { data, width, height }: heights in meters as
+ *   half floats, rows from the south
+ */
+export async function renderGlobeElevation(tiles, zoom, encoding) {
+  const heightmaps = await Promise.all(tiles.map(async (tile) => ({
+    ...tile,
+    heightmap: tile.blob ? await decodeHeightmap(tile.blob, encoding).catch(() => null) : null,
+  })));
+
+  const tileSize = heightmaps.find(tile => tile.heightmap)?.heightmap.width;
+  if (!tileSize) {
+    throw new Error('No globe elevation tiles decoded');
+  }
+
+  const size = tileSize * Math.pow(2, zoom);
+  const mercator = { heights: new Float32Array(size * size), width: size, height: size };
+  for (const { x, y, heightmap } of heightmaps) {
+    if (!heightmap || heightmap.width !== tileSize) continue;
+    for (let row = 0; row < tileSize; row++) {
+      const src = heightmap.heights.subarray(row * tileSize, (row + 1) * tileSize);
+      mercator.heights.set(src, (y * tileSize + row) * size + x * tileSize);
+    }
+  }
+
+  const width = size;
+  const height = size / 2;
+  const data = new Uint16Array(width * height);
+
+  for (let row = 0; row < height; row++) {
+    const lat = -90 + ((row + 0.5) / height) * 180;
+    const latRad = lat * Math.PI / 180;
+    const mercY = (1 - Math.log(Math.tan(Math.PI / 4 + latRad / 2)) / Math.PI) / 2;
+
+    for (let col = 0; col < width; col++) {
+      const elevation = sampleHeightmap(mercator, (col + 0.5) / width, mercY);
+      data[row * width + col] = DataUtils.toHalfFloat(elevation);
+    }
+  }
+
+  return { data, width, height };
+}
+
+/**
+ * Resample a square Web Mercator image into an equirectangular one
+ * Bilinear between pixel centres; longitude wraps at the antimeridian.
+ * @param {ImageData} source - Web Mercator, the whole world
+ * @param {ImageData} target - equirectangular, written in place
+ */
+export function reprojectMercator(source, target) {
+  const sourceSize = source.width;
+  const { width, height, data: dst } = target;
+
+  for (let row = 0; row < height; row++) {
+    const lat = 90 - ((row + 0.5) / height) * 180;
+
+    if (Math.abs(lat) > MERCATOR_LIMIT) {
+      const color = lat > 0 ? ARCTIC_COLOR : ANTARCTIC_COLOR;
+      for (let col = 0; col < width; col++) {
+        dst.set(color, (row * width + col) * 4);
+        dst[(row * width + col) * 4 + 3] = 255;
+      }
+      continue;
+    }
+
+    // Source row, between pixel centres
+    const latRad = lat * Math.PI / 180;
+    const mercY = (1 - Math.asinh(Math.tan(latRad)) / Math.PI) / 2 * sourceSize - 0.5;
+
+    for (let col = 0; col < width; col++) {
+      // Longitude is linear in both projections
+      const mercX = ((col + 0.5) / width) * sourceSize - 0.5;
+      const out = (row * width + col) * 4;
+      sampleBilinear(source, mercX, mercY, dst, out);
+      dst[out + 3] = 255;
+    }
+  }
+}
+
+/**
+ * Fade polar imagery in over the reprojected texture toward the poles
+ * @param {ImageData} target - equirectangular, written in place
+ * @param {Array} caps - [{ image: ImageData, south, north }]
+ */
+export function blendPolarCaps(target, caps) {
+  const { width, height, data: dst } = target;
+  const color = new Float32Array(3);
+
+  for (let row = 0; row < height; row++) {
+    const lat = 90 - ((row + 0.5) / height) * 180;
+    const weight = smoothstep(POLAR_BLEND_START, MERCATOR_LIMIT, Math.abs(lat));
+    if (weight === 0) continue;
+
+    const cap = caps.find(cap => lat >= cap.south && lat <= cap.north);
+    if (!cap) continue;
+
+    const { image } = cap;
+    const capY = (cap.north - lat) / (cap.north - cap.south) * image.height - 0.5;
+    for (let col = 0; col < width; col++) {
+      const capX = ((col + 0.5) / width) * image.width - 0.5;
+      sampleBilinear(image, capX, capY, color, 0);
+
+      const out = (row * width + col) * 4;
+      for (let channel = 0; channel < 3; channel++) {
+        dst[out + channel] += (color[channel] - dst[out + channel]) * weight;
+      }
+    }
+  }
+}
+
+/**
+ * Bilinearly sample an image's RGB between pixel centres, wrapping in x
+ * (longitude) and clamping in y, into out[offset..offset + 2]
+ */
+function sampleBilinear(image, x, y, out, offset) {
+  const { width, height, data } = image;
+
+  const yFloor = Math.floor(y);
+  const fy = Math.min(Math.max(y - yFloor, 0), 1);
+  const y0 = Math.min(Math.max(yFloor, 0), height - 1);
+  const y1 = Math.min(Math.max(yFloor + 1, 0), height - 1);
+
+  const xFloor = Math.floor(x);
+  const fx = x - xFloor;
+  const x0 = ((xFloor % width) + width) % width;
+  const x1 = (x0 + 1) % width;
+
+  const i00 = (y0 * width + x0) * 4;
+  const i10 = (y0 * width + x1) * 4;
+  const i01 = (y1 * width + x0) * 4;
+  const i11 = (y1 * width + x1) * 4;
+
+  for (let channel = 0; channel < 3; channel++) {
+    const top = data[i00 + channel] + (data[i10 + channel] - data[i00 + channel]) * fx;
+    const bottom = data[i01 + channel] + (data[i11 + channel] - data[i01 + channel]) * fx;
+    out[offset + channel] = top + (bottom - top) * fy;
+  }
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Decode a polar cap to pixels
+ */
+async function decodeCap({ blob, south, north }) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = createCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return { image: ctx.getImageData(0, 0, canvas.width, canvas.height), south, north };
+}
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
@@ -0,0 +1,26 @@
+import { renderGlobeTexture, renderGlobeElevation } from './globeTexture.js';
+
+/**
+ * Web Worker: builds the equirectangular globe texture and elevation map
+ * off the main thread
+ * Message in:  { id, tiles: [{ x, y, blob }], zoom, width, caps: [{ blob, south, north }] }
+ *   for the texture, or { id, elevation: encoding, tiles, zoom } for the elevation map
+ * Message out: { id, result } with the encoded image Blob, or the elevation
+ *   map (see renderGlobeElevation) with its data transferred; or { id, error }
+ */
+
+self.onmessage = async (event) => {
+  const { id, tiles, zoom, width, caps, elevation } = event.data;
+
+  try {
+    if (elevation) {
+      const result = await renderGlobeElevation(tiles, zoom, elevation);
+      self.postMessage({ id, result }, [result.data.buffer]);
+      return;
+    }
+    const result = await renderGlobeTexture(tiles, zoom, width, caps);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
@@ -0,0 +1,62 @@
+import * as THREE from 'three';
+
+/**
+ * Night lights shared by the globe and the terrain
+ * The global night map is equirectangular, laid out like the globe texture.
+ */
+
+// Loaded once and shared by every material that samples it
+let nightTexturePromise = null;
+
+// Shader chunk: night map coordinates of a world position, as the globe samples it
+export const nightLightsShaderChunk = `
+  vec2 getNightMapUv(vec3 worldPos) {
+    // Inverse of the lat/lon mapping used for tiles (lon = -atan(x, z))
+    vec3 dir = normalize(worldPos);
+    float u = 0.5 - atan(dir.x, dir.z) / 6.28318530718;
+    float v = 0.5 + asin(clamp(dir.y, -1.0, 1.0)) / 3.14159265359;
+
+    // u jumps from 1 to 0 at the antimeridian; use a copy that doesn't jump
+    // there (texture repeats) so mipmap selection doesn't draw a seam
+    float uShifted = fract(u + 0.5) - 0.5;
+    return vec2(fwidth(u) <= fwidth(uShifted) ? u : uShifted, v);
+  }
+`;
+
+/**
+ * Load the night lights texture (a dark fallback if it can't be loaded)
+ */
+export function loadNightTexture() {
+  if (!nightTexturePromise) {
+    nightTexturePromise = new Promise((resolve, reject) => {
+      console.log('Loading night lights texture...');
+      const loader = new THREE.TextureLoader();
+      loader.load(
+        `${import.meta.env.BASE_URL}textures/earth_nightmap.jpg`,
+        (texture) => {
+          texture.colorSpace = THREE.SRGBColorSpace;
+          // Flip horizontally to match the day texture
+          texture.wrapS = THREE.RepeatWrapping;
+          texture.repeat.x = -1;
+          console.log('Night lights texture loaded');
+          resolve(texture);
+        },
+        undefined,
+        reject
+      );
+    }).catch((error) => {
+      console.warn('Failed to load night lights texture', error);
+      // Create a simple dark texture as fallback
+      const canvas = document.createElement('canvas');
+      canvas.width = 64;
+      canvas.height = 32;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#000510';
+      ctx.fillRect(0, 0, 64, 32);
+      const texture = new THREE.CanvasTexture(canvas);
+      texture.wrapS = THREE.RepeatWrapping;
+      return texture;
+    });
+  }
+  return nightTexturePromise;
+}
@@ -0,0 +1,141 @@
+/**
+ * Prioritised request queue
+ * Runs at most `concurrency` tasks at once, lowest priority value first.
+ * Tasks that fail with a transient error (network failure, HTTP 408/429/5xx)
+ * are retried with exponential backoff; cancelled tasks are aborted through
+ * the AbortSignal they were given.
+ */
+
+/**
+ * @param {Object} options - { concurrency, maxRetries, retryDelay (ms, doubled
+ *   for each retry) }
+ */
+export function createRequestScheduler({ concurrency = 6, maxRetries = 3, retryDelay = 500 } = {}) {
+  // Requests by key; each is queued, running, or waiting to retry
+  const requests = new Map();
+  const queue = [];
+  let active = 0;
+
+  function dispatch() {
+    while (active < concurrency && queue.length > 0) {
+      // Queues stay small (hundreds of tiles), so a scan beats keeping a heap
+      // ordered while priorities change
+      let best = 0;
+      for (let i = 1; i < queue.length; i++) {
+        if (queue[i].priority < queue[best].priority) best = i;
+      }
+      const [request] = queue.splice(best, 1);
+      run(request);
+    }
+  }
+
+  async function run(request) {
+    active++;
+    request.controller = new AbortController();
+    try {
+      const result = await request.task(request.controller.signal);
+      finish(request);
+      request.resolve(result);
+    } catch (error) {
+      if (!request.cancelled && request.attempt < maxRetries && isTransient(error)) {
+        const delay = retryDelay * 2 ** request.attempt * (0.75 + Math.random() * 0.5);
+        request.attempt++;
+        console.warn(`Retrying ${request.key} in ${Math.round(delay)} ms (attempt ${request.attempt} of ${maxRetries}):`, error.message || error);
+        request.timer = setTimeout(() => {
+          request.timer = null;
+          queue.push(request);
+          dispatch();
+        }, delay);
+      } else {
+        finish(request);
+        request.reject(error);
+      }
+    } finally {
+      request.controller = null;
+      active--;
+      dispatch();
+    }
+  }
+
+  function finish(request) {
+    if (requests.get(request.key) === request) requests.delete(request.key);
+  }
+
+  return {
+    /**
+     * Queue a task, or return the promise of the one already queued under key
+     * @param {string} key - identifies the request for cancel/setPriority
+     * @param {Function} task - (signal) => Promise
+     * @param {number} priority - lower runs sooner
+     */
+    request(key, task, priority = 0) {
+      const existing = requests.get(key);
+      if (existing) return existing.promise;
+
+      const request = { key, task, priority, attempt: 0, controller: null, timer: null, cancelled: false };
+      request.promise = new Promise((resolve, reject) => {
+        request.resolve = resolve;
+        request.reject = reject;
+      });
+      requests.set(key, request);
+      queue.push(request);
+      dispatch();
+      return request.promise;
+    },
+
+    /**
+     * Drop a request. One still queued or waiting to retry rejects with an
+     * AbortError; a running one is aborted through its signal and settles as
+     * its task does, so a result that arrives anyway can be disposed of.
+     */
+    cancel(key) {
+      const request = requests.get(key);
+      if (!request) return;
+
+      requests.delete(key);
+      request.cancelled = true;
+
+      if (request.controller) {
+        request.controller.abort();
+        return;
+      }
+
+      const index = queue.indexOf(request);
+      if (index >= 0) queue.splice(index, 1);
+      if (request.timer) clearTimeout(request.timer);
+      request.reject(new DOMException(`Cancelled ${key}`, 'AbortError'));
+    },
+
+    /**
+     * Recompute the priority of every waiting request
+     * @param {Function} getPriority - (key) => priority
+     */
+    updatePriorities(getPriority) {
+      for (const request of requests.values()) {
+        request.priority = getPriority(request.key);
+      }
+    },
+
+    // Requests queued, running or waiting to retry
+    get pending() {
+      return requests.size;
+    },
+
+    get active() {
+      return active;
+    },
+  };
+}
+
+/**
+ * Whether a failed request is worth retrying: network errors (fetch rejects
+ * with a TypeError, without an HTTP status), timeouts, rate limiting and
+ * server errors are temporary; anything else, such as a tile that won't
+ * decode or an error marked `permanent`, fails the same way every time
+ */
+function isTransient(error) {
+  if (error?.name === 'AbortError' || error?.permanent) return false;
+  const status = error?.status;
+  if (status === undefined) return error instanceof TypeError;
+  return status === 408 || status === 429 || status >= 500;
+}
@@ -0,0 +1,85 @@
+/**
+ * Terrain statistics overlay
+ * Shows tiles on screen per zoom level, triangles, texture memory, draw
+ * calls and frame time in a text element, refreshed a few times a second.
+ */
+
+// Seconds between overlay refreshes
+const REFRESH_INTERVAL = 0.25;
+
+/**
+ * @param {HTMLElement} element - shown and hidden by toggle
+ * @param {THREE.WebGLRenderer} renderer - for draw calls (renderer.info)
+ * @param {Object} terrain - terrain controller (getStats)
+ * @param {Object} globeChunks - globe chunks controller (getStats), optional
+ */
+export function createStatsOverlay(element, renderer, terrain, globeChunks = null) {
+  let visible = false;
+  let elapsed = 0;
+  let frames = 0;
+  let frameTime = 0;
+
+  function render() {
+    const stats = terrain.getStats();
+    const { calls, triangles } = renderer.info.render;
+
+    const zooms = Object.keys(stats.zooms)
+      .sort((a, b) => a - b)
+      .map(z => `  z${z}: ${stats.zooms[z]}`);
+
+    const lines = [
+      `Frame: ${(frameTime * 1000).toFixed(1)} ms (${Math.round(1 / frameTime)} fps)`,
+      `Draw calls: ${calls}`,
+      `Triangles: ${formatCount(triangles)} (terrain ${formatCount(stats.triangles)})`,
+      `Tiles: ${stats.visible} visible, ${stats.cached} cached, ${stats.pending} pending`,
+      ...zooms,
+      `Textures: ${formatMegabytes(stats.textureBytes)}`,
+      `Tile memory: ${formatMegabytes(stats.bytes)} of ${formatMegabytes(stats.budget)}`,
+    ];
+
+    if (globeChunks) {
+      const chunks = globeChunks.getStats();
+      lines.push(`Globe chunks: ${chunks.visible} visible, ${chunks.loaded} loaded, ${chunks.pending} pending`);
+    }
+    element.textContent = lines.join('\n');
+  }
+
+  return {
+    get visible() {
+      return visible;
+    },
+
+    setVisible(isVisible) {
+      visible = isVisible;
+      element.style.display = visible ? '' : 'none';
+      elapsed = 0;
+      frames = 0;
+    },
+
+    toggle() {
+      this.setVisible(!visible);
+    },
+
+    // Call each frame; averages the frame time between refreshes
+    update(deltaTime) {
+      if (!visible) return;
+
+      elapsed += deltaTime;
+      frames++;
+      if (elapsed < REFRESH_INTERVAL) return;
+
+      frameTime = elapsed / frames;
+      elapsed = 0;
+      frames = 0;
+      render();
+    },
+  };
+}
+
+function formatCount(count) {
+  return count >= 1e6 ? `${(count / 1e6).toFixed(2)}M` : count >= 1e3 ? `${(count / 1e3).toFixed(1)}k` : `${count}`;
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / 1e6).toFixed(1)} MB`;
+}
@@ -1,11 +1,16 @@
 import * as THREE from 'three';
 import { atmosphereShaderChunk } from './atmosphere.js';
-
-// Mapbox API configuration
-const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN || '';
-
-// Atmosphere uniforms (set by createTerrain)
-let atmosphereUniforms = null;
+import { bathymetryShaderChunk, floodingShaderChunk } from './bathymetry.js';
+import { cloudsShaderChunk } from './clouds.js';
+import { waterShaderChunk } from './water.js';
+import { loadNightTexture, nightLightsShaderChunk } from './nightLights.js';
+import { createDefaultProviders, loadTileImage, blobToImage, checkElevationProvider } from './tileProviders.js';
+import { decodeHeightmap, buildTileMeshData, buildNormalMap, updateNormalMapEdge, synthesizeHeightmap, sampleHeightmap, getGridVertexKey, setGridVertexPosition, updateMorphHeights } from './tileMesh.js';
+import { createWorkerPool } from './workerPool.js';
+import { createRequestScheduler } from './requestScheduler.js';
+
+// Shared tile materials, by terrain uniforms and then by defines
+const tileMaterials = new WeakMap();
 
 // Earth radius in km (1 unit = 1 km)
 const EARTH_RADIUS = 6371;
@@ -14,9 +19,52 @@ const EARTH_RADIUS = 6371;
 const MIN_ZOOM = 6;   // Coarsest level (largest tiles)
 const MAX_ZOOM = 14;  // Finest level (smallest tiles, near camera)
 
-// How far inside the globe surface to place terrain (km)
-// Needs enough gap to avoid z-fighting with globe at tile edges
-const TERRAIN_OFFSET = 8;
+// Procedural detail: past the finest zoom with data, tiles keep subdividing
+// down to DETAIL_MAX_ZOOM, upsampled from their ancestor with seeded fractal
+// noise added to heights (see synthesizeHeightmap) and imagery
+const PROCEDURAL_DETAIL = true;
+const DETAIL_MAX_ZOOM = 17;
+const DETAIL_SEED = 1;
+
+// Brightness variation the noise adds to imagery (0 = none), and the zoom
+// whose 256px tile pixels are its coarsest cells
+const DETAIL_TEXTURE_STRENGTH = 0.15;
+const DETAIL_TEXTURE_ZOOM = 15;
+
+// Imagery noise cells repeat every this many, keeping shader coordinates
+// small enough for float precision
+const DETAIL_TEXTURE_PERIOD = 4096;
+
+// Default distance inside the globe surface to place terrain (km). Terrain
+// sits at its true radius: tiles mask the globe out with the stencil buffer
+// instead of hiding in front of it, so there's nothing to z-fight.
+const TERRAIN_OFFSET = 0;
+
+// Grid segments per tile side. The same at every zoom, so a tile's morphed
+// (half resolution) grid matches the grid of a coarser neighbour exactly.
+const TILE_SEGMENTS = 64;
+
+// Default vertical exaggeration applied to terrain heights
+const ELEVATION_EXAGGERATION = 3;
+
+// Default elevation ocean depths are clamped to (m)
+const OCEAN_FLOOR = -50;
+
+// Default share of light that doesn't come from the sun, so slopes facing
+// away from it (and the night side) aren't black
+const AMBIENT_LIGHT = 0.3;
+
+// Shade with normal maps at the elevation tiles' full resolution, rather
+// than per-vertex normals from the mesh grid
+const USE_NORMAL_MAPS = true;
+
+// Highest point on Earth (m), bounding the shell raycasts have to search
+const HIGHEST_ELEVATION = 8849;
+
+// Raycast step limits (km) and a cap on steps per ray
+const RAYCAST_MIN_STEP = 0.01;
+const RAYCAST_MAX_STEP = 1;
+const RAYCAST_MAX_STEPS = 10000;
 
 // Subdivision threshold multiplier
 // Tile is subdivided if: distance < tileSize * SUBDIVISION_FACTOR
@@ -26,7 +74,61 @@ const SUBDIVISION_FACTOR = 3.0;
 // Maximum radius from camera to load terrain (km)
 const MAX_TERRAIN_RADIUS = 800;
 
-// Debug mode: use colored tiles instead of Mapbox
+// Width of the band inside MAX_TERRAIN_RADIUS where terrain flattens to sea
+// level and dissolves into the globe (km); at most half a focus region
+const GLOBE_BLEND_BAND = 150;
+
+// Focus regions: extra terrain patches anywhere on the globe (see
+// addFocusRegion). Their tiles split while they'd cover more than this share
+// of the view height, rather than by distance, so far-off landmarks get detail.
+const MAX_FOCUS_REGIONS = 4;
+const DEFAULT_FOCUS_RADIUS = 200;
+const FOCUS_TILE_SCREEN_SIZE = 0.25;
+
+// Morph distance for focus region tiles: far enough that they never morph
+const FOCUS_MORPH_DISTANCE = 1e9;
+
+// Terrain tiles mark their pixels in the stencil buffer; the globe (drawn
+// after them) skips marked pixels, so it only shows where terrain doesn't
+export const TERRAIN_STENCIL_REF = 1;
+const TERRAIN_STENCIL = {
+  stencilWrite: true,
+  stencilRef: TERRAIN_STENCIL_REF,
+  stencilFunc: THREE.AlwaysStencilFunc,
+  stencilZPass: THREE.ReplaceStencilOp,
+};
+
+// Web Mercator tiles stop at this latitude
+const MERCATOR_LIMIT = 85.0511;
+
+// How often to re-run the quadtree against the camera (frames)
+const LOD_UPDATE_INTERVAL = 10;
+
+// GPU memory (MB) for tile meshes; tiles off screen are kept for reuse until
+// this fills, then dropped least recently seen first. Tiles in use are never
+// dropped, so the budget is exceeded if they alone don't fit.
+const GPU_MEMORY_BUDGET_MB = 512;
+
+// Tile downloads in flight at once, and retries for transient failures
+const MAX_CONCURRENT_REQUESTS = 6;
+const MAX_REQUEST_RETRIES = 3;
+
+// Tiles that still fail are requested again after a delay (ms), doubling
+// each time, up to a limit
+const TILE_RETRY_DELAY = 5000;
+const TILE_RETRY_LIMIT = 4;
+
+// uQuadrants of a tile drawn whole
+const ALL_QUADRANTS = [1, 1, 1, 1];
+
+// Workers for heightmap decoding and mesh generation (leave a core for rendering)
+const MESH_WORKER_COUNT = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+// Created on first use; null when workers or OffscreenCanvas are unavailable
+let meshWorkerPool;
+
+// Debug mode: use colored tiles instead of Mapbox (for a tinted view of the
+// real tiles, see setDebugTint)
 const DEBUG_MODE = false;
 
 // Debug colors for each zoom level
@@ -37,99 +139,1304 @@ const DEBUG_COLORS = {
   9: 0x00ffff,  // Cyan
   10: 0x00ff00, // Green
   11: 0xff00ff, // Magenta
-  12: 0xff0000, // Red (highest detail)
+  12: 0xff0000, // Red
+  13: 0x8800ff, // Purple
+  14: 0xffffff, // White (finest data)
+  15: 0x00ff88, // Spring green (procedural detail)
+  16: 0xff0088, // Pink
+  17: 0x88ff00, // Lime
 };
 
 /**
  * Creates multi-LOD terrain using quadtree subdivision
- * @param {Object} location - { lat, lon } camera position
- * @param {Object} atmoUniforms - atmosphere uniforms for shader
+ * The quadtree is re-evaluated against the camera as it moves, so call
+ * update(camera) every frame from the render loop. Exaggeration, ocean
+ * floor, terrain offset and sea level are shader uniforms, so their setters
+ * apply to loaded tiles immediately without rebuilding them.
+ *
+ * Loading is progressive: the returned promise resolves once the coarse
+ * MIN_ZOOM tiles around the location are shown, and finer tiles replace
+ * them as they arrive. Tiles still loading are drawn from their closest
+ * loaded ancestor. Tiles that go out of use stay cached for when the camera
+ * returns, until their GPU memory exceeds the budget (setMemoryBudget).
+ * @param {Object} location - { lat, lon } initial camera position
+ * @param {Object} providers - { imagery, elevation, nightImagery } tile providers
+ *   (see tileProviders.js); without nightImagery, night lights come from the global map
+ * @param {Object} options.atmosphere - atmosphere uniforms for shader
+ * @param {Object} options.bathymetry - bathymetry uniforms for shader (see bathymetry.js)
+ * @param {Object} options.clouds - cloud layer uniforms, for its shadows (see clouds.js)
+ * @param {Object} options.water - water uniforms for shader (see water.js)
+ * @param {Function} options.onProgress - called with { requested, loaded, failed,
+ *   pending, bytes, progress } as tiles load; counts restart when all requested
+ *   tiles are done, progress is 0..1 of the current batch, bytes is the running total
+ * @param {boolean} options.proceduralDetail - synthesize tiles past the finest
+ *   data zoom (see setProceduralDetail)
+ * @returns {Promise<Object>} terrain controller with the scene group
  */
-export async function createTerrain(location, atmoUniforms = null) {
-  atmosphereUniforms = atmoUniforms;
+export async function createTerrain(location, providers = createDefaultProviders(), {
+  atmosphere = null,
+  bathymetry = null,
+  clouds = null,
+  water = null,
+  onProgress = null,
+  proceduralDetail = PROCEDURAL_DETAIL,
+} = {}) {
+  // Uniforms of the other layers this terrain's tiles are shaded with
+  const layerUniforms = { atmosphere, bathymetry, clouds, water };
+
+  if (!providers?.imagery || !providers?.elevation) {
+    console.warn('No terrain tile providers. Pass { imagery, elevation } providers');
+    return createPlaceholderTerrain(location);
+  }
 
-  if (!MAPBOX_TOKEN) {
-    console.warn('No Mapbox token provided. Set VITE_MAPBOX_TOKEN in .env');
+  const { imagery, elevation, nightImagery } = providers;
+  checkElevationProvider(elevation);
+  try {
+    await Promise.all([imagery.ready, elevation.ready, nightImagery?.ready]);
+  } catch (error) {
+    // e.g. no Blue Marble image, not even the bundled one, could be loaded
+    console.warn('Terrain tile providers failed to load, using placeholder', error);
     return createPlaceholderTerrain(location);
   }
 
-  const { lat, lon } = location;
+  // Don't load past what each source can serve; tiles finer than one
+  // source's zoom are cut from its ancestor tiles (heights with synthesized
+  // detail, imagery scaled up), and tiles finer than both only with
+  // procedural detail
+  const sourceZooms = {
+    imagery: Math.min(MAX_ZOOM, imagery.maxZoom),
+    elevation: Math.min(MAX_ZOOM, elevation.maxZoom),
+  };
+  const dataMaxZoom = Math.max(sourceZooms.imagery, sourceZooms.elevation);
+  let maxZoom = proceduralDetail ? Math.max(DETAIL_MAX_ZOOM, dataMaxZoom) : dataMaxZoom;
+
   const terrainGroup = new THREE.Group();
   terrainGroup.name = 'terrain-quadtree';
 
-  // Get leaf tiles from quadtree traversal
-  const leafTiles = getQuadtreeLeafTiles(lat, lon);
-  console.log(`Quadtree: ${leafTiles.length} leaf tiles`);
+  // All known tiles by key: { tile, mesh, state: 'loading' | 'ready' | 'failed' }
+  const tiles = new Map();
+
+  // Keys of tiles whose meshes are currently in the group
+  let visibleKeys = new Set();
+
+  // Leaf tiles wanted for the most recent camera position
+  let leafTiles = [];
+  let leafKeys = new Set();
+
+  // MIN_ZOOM tiles under the leaves, kept loaded as a fallback for leaves
+  // that haven't loaded yet
+  let baseKeys = new Set();
+
+  // Parents of leaves not loaded at the last refresh: closer stand-ins than
+  // the base tiles, as the tiles between are never leaves when zooming in
+  let parentKeys = new Set();
+
+  // Tile loading counts for onProgress
+  const progress = { requested: 0, loaded: 0, failed: 0, bytes: 0 };
+
+  // Estimated GPU memory of loaded tiles, against the budget
+  let memoryBudget = GPU_MEMORY_BUDGET_MB * 1024 * 1024;
+  let memoryUsed = 0;
+
+  // Tile downloads, most important on screen first
+  const scheduler = createRequestScheduler({
+    concurrency: MAX_CONCURRENT_REQUESTS,
+    maxRetries: MAX_REQUEST_RETRIES,
+  });
+
+  // Heights and normals of vertices on tile edges by global grid key, with a
+  // count of the tiles using each, so neighbouring tiles meet without cracks
+  // or lighting seams
+  const edgeHeights = new Map();
+
+  // Night lights textures by tile key, with a count of the terrain tiles
+  // using each (night tiles are coarser, so many terrain tiles share one)
+  const nightTiles = new Map();
+
+  // Shared by every tile material (see the setters below)
+  const terrainUniforms = {
+    uBaseRadius: { value: EARTH_RADIUS - TERRAIN_OFFSET },
+    uExaggeration: { value: ELEVATION_EXAGGERATION },
+    uOceanFloor: { value: OCEAN_FLOOR },
+    uAmbient: { value: AMBIENT_LIGHT },
+    // Terrain patches, blended into the globe at their edges: around the
+    // last LOD refresh, then the focus regions (see updateCoverage)
+    uCoverageCenters: { value: Array.from({ length: MAX_FOCUS_REGIONS + 1 }, () => new THREE.Vector3(0, 1, 0)) },
+    uCoverageRadii: { value: new Array(MAX_FOCUS_REGIONS + 1).fill(0) },
+    uCoverageCount: { value: 1 },
+    uBlendBand: { value: GLOBE_BLEND_BAND },
+    // Set by addGlobeDisplacement (globe.js) once the globe has relief
+    uGlobeRelief: { value: 0 },
+    // The globe's day texture, faded to across the blend band (see setGlobeMap)
+    uGlobeMap: { value: null },
+    uGlobeBlend: { value: 0 },
+    // Global night lights, for tiles without a night tile of their own
+    nightMap: { value: atmosphere ? await loadNightTexture() : null },
+    // The bathymetry sea level, which moves the ocean floor (see getOceanFloor)
+    ...(bathymetry && { uSeaLevel: bathymetry.uSeaLevel }),
+    uDetailStrength: { value: proceduralDetail ? DETAIL_TEXTURE_STRENGTH : 0 },
+    uDetailSeed: { value: DETAIL_SEED },
+    // LOD debug view (see setDebugTint, setDebugWireframe)
+    uDebugTint: { value: 0 },
+    uDebugBounds: { value: 0 },
+  };
+
+  let frameCount = 0;
+  let lastLat = location.lat;
+  let lastLon = location.lon;
+  let lastAltitude = location.altitude || 0;
+  // Camera view at the last refresh, for the screen size of focus region
+  // tiles; unknown (no focus tiles split) until the first update
+  let lastFov = null;
+  const lastQuaternion = new THREE.Quaternion();
+  const frustum = new THREE.Frustum();
+  const viewProjection = new THREE.Matrix4();
+
+  // Sea level (m) the tile bounds were last fitted to
+  let boundsSeaLevel = bathymetry?.uSeaLevel.value ?? 0;
+
+  // { lat, lon, radius, maxZoom } patches with their own detailed terrain
+  const focusRegions = [];
+
+  function requestTile(tile, failures = 0) {
+    const key = getTileKey(tile);
+    const existing = tiles.get(key);
+    if (existing) return existing.promise;
+
+    // Start a new batch once everything requested so far is done
+    if (progress.loaded + progress.failed === progress.requested) {
+      progress.requested = progress.loaded = progress.failed = 0;
+    }
+    progress.requested++;
+
+    const entry = { tile, mesh: null, state: 'loading', promise: null, nightKey: null, failures };
+    const night = acquireNightTile(entry);
+    const load = scheduler.request(
+      key,
+      (signal) => loadTileMesh(tile, providers, terrainUniforms, layerUniforms, signal, sourceZooms),
+      getTilePriority(tile)
+    ).catch(error => {
+      if (error.name !== 'AbortError') console.warn(`Failed to load tile ${key}:`, error);
+      return null;
+    });
 
-  // Count tiles per zoom level
-  const zoomCounts = {};
-  for (const tile of leafTiles) {
-    zoomCounts[tile.z] = (zoomCounts[tile.z] || 0) + 1;
+    entry.promise = Promise.all([load, night?.promise]).then(([mesh, nightTexture]) => {
+      if (tiles.get(key) !== entry) {
+        // Cancelled, but finished before the abort took effect
+        if (mesh) disposeTileMesh(mesh);
+        return;
+      }
+      entry.mesh = mesh;
+      entry.state = mesh ? 'ready' : 'failed';
+      if (mesh) {
+        entry.gpuBytes = estimateTileMemory(mesh);
+        entry.lastVisible = performance.now();
+        memoryUsed += entry.gpuBytes;
+        matchEdgeHeights(entry);
+        stitchNormalMaps(entry);
+        if (nightTexture && mesh.userData.uniforms) setNightTile(mesh, tile, night.zoom, nightTexture, terrainUniforms, layerUniforms);
+        progress.loaded++;
+        progress.bytes += mesh.userData.bytes || 0;
+      } else {
+        progress.failed++;
+        retryTile(key, entry);
+      }
+      reportProgress();
+      // Show the tile (and retire whatever stood in for it) straight away
+      updateVisibility();
+    });
+    tiles.set(key, entry);
+    return entry.promise;
   }
-  console.log('Tiles per zoom:', zoomCounts);
 
-  if (DEBUG_MODE) {
-    // Debug mode: create colored tiles without fetching
-    for (const tile of leafTiles) {
-      const tileMesh = createDebugTileMesh(tile);
-      if (tileMesh) {
-        terrainGroup.add(tileMesh);
+  /**
+   * Stop loading a tile that is no longer wanted
+   */
+  function cancelTile(key, entry) {
+    scheduler.cancel(key);
+    releaseNightTile(entry);
+    tiles.delete(key);
+    progress.requested--;
+  }
+
+  /**
+   * Request order: tiles that look biggest from the camera load first, so
+   * coarse tiles arrive before the fine ones that refine them
+   */
+  function getTilePriority(tile) {
+    const bounds = getTileBounds(tile.x, tile.y, tile.z);
+    const distance = haversineDistance(
+      lastLat, lastLon,
+      (bounds.north + bounds.south) / 2, (bounds.east + bounds.west) / 2
+    );
+    return Math.hypot(distance, Math.max(lastAltitude, 0)) / getTileSizeKm(bounds);
+  }
+
+  function reportProgress() {
+    if (!onProgress) return;
+    const { requested, loaded, failed, bytes } = progress;
+    const done = loaded + failed;
+    onProgress({
+      requested,
+      loaded,
+      failed,
+      pending: requested - done,
+      bytes,
+      progress: requested > 0 ? done / requested : 1,
+    });
+  }
+
+  /**
+   * Request a failed tile again after a while, if it's still wanted, waiting
+   * longer after each failure. Until then (or after the last try) its
+   * ancestors draw its area.
+   */
+  function retryTile(key, entry) {
+    if (entry.failures >= TILE_RETRY_LIMIT) return;
+    setTimeout(() => {
+      if (tiles.get(key) !== entry || !isWanted(key)) return;
+      releaseNightTile(entry);
+      tiles.delete(key);
+      requestTile(entry.tile, entry.failures + 1);
+    }, TILE_RETRY_DELAY * Math.pow(2, entry.failures));
+  }
+
+  /**
+   * Decide which tiles to draw. Loaded leaves are drawn; the area of a leaf
+   * that isn't loaded (or failed) is drawn by the tiles previously covering
+   * it, finer ones when merging, or failing that by its closest loaded
+   * ancestor, which draws only the quarters of itself (see uQuadrants) not
+   * already drawn by finer tiles.
+   */
+  function updateVisibility() {
+    const isReady = (key) => tiles.get(key)?.state === 'ready';
+    // Quarters (NW, NE, SW, SE) each visible tile draws
+    const nextVisible = new Map();
+
+    // Tiles with leaves below them, and with previously visible tiles below them
+    const leafAncestors = getAncestorKeys(leafTiles);
+    const previousAncestors = getAncestorKeys([...visibleKeys].map(key => tiles.get(key).tile));
+
+    // Previously visible tiles drawing all of a tile's area, or null
+    function coverWithPrevious(tile) {
+      const key = getTileKey(tile);
+      if (visibleKeys.has(key) && isReady(key)) return [[key, ALL_QUADRANTS]];
+      if (!previousAncestors.has(key)) return null;
+
+      const draws = [];
+      for (const child of getChildTiles(tile.x, tile.y, tile.z)) {
+        const cover = coverWithPrevious(child);
+        if (!cover) return null;
+        draws.push(...cover);
       }
+      return draws;
     }
-  } else {
-    // Normal mode: fetch Mapbox tiles
-    const tileData = await Promise.all(
-      leafTiles.map(tile => fetchTile(tile))
+
+    // Tiles drawing all of the wanted leaves under a tile, or null if
+    // neither they nor the tile itself can
+    function cover(tile) {
+      const key = getTileKey(tile);
+      if (leafKeys.has(key)) {
+        return isReady(key) ? [[key, ALL_QUADRANTS]] : coverWithPrevious(tile);
+      }
+      if (!leafAncestors.has(key)) return [];
+
+      const children = getChildTiles(tile.x, tile.y, tile.z).map(cover);
+      if (children.every(Boolean)) return children.flat();
+      if (!isReady(key)) return null;
+
+      // Stand in for the quarters not drawn by finer tiles
+      return [[key, children.map(child => child ? 0 : 1)], ...children.filter(Boolean).flat()];
+    }
+
+    for (const key of baseKeys) {
+      for (const [drawKey, quadrants] of cover(tiles.get(key).tile) ?? []) {
+        nextVisible.set(drawKey, quadrants);
+      }
+    }
+
+    for (const key of visibleKeys) {
+      if (!nextVisible.has(key)) terrainGroup.remove(tiles.get(key).mesh);
+    }
+    for (const key of nextVisible.keys()) {
+      if (!visibleKeys.has(key)) terrainGroup.add(tiles.get(key).mesh);
+    }
+    visibleKeys = new Set(nextVisible.keys());
+
+    // Areas drawn by finer tiles: every ancestor of a visible tile
+    const refinedKeys = getAncestorKeys([...visibleKeys].map(key => tiles.get(key).tile));
+
+    // Pin tile edges to whatever neighbours are now on screen
+    const now = performance.now();
+    for (const key of visibleKeys) {
+      const entry = tiles.get(key);
+      entry.lastVisible = now;
+
+      const { uniforms, morphDistance } = entry.mesh.userData;
+      if (!uniforms) continue;
+      const levels = getEdgeLevels(entry.tile, visibleKeys, refinedKeys);
+      pinTileEdges(entry, levels);
+      uniforms.uEdgeMorph.value.fromArray(levels.map(level => Math.min(level, 1)));
+      uniforms.uQuadrants.value.fromArray(nextVisible.get(key));
+      uniforms.uMorphDistance.value = isFocusTile(entry.tile) ? FOCUS_MORPH_DISTANCE : morphDistance;
+    }
+
+    // Stop loading tiles that are no longer wanted; loaded ones stay cached
+    // within the memory budget
+    for (const [key, entry] of tiles) {
+      if (isWanted(key)) continue;
+      if (entry.state === 'loading') {
+        cancelTile(key, entry);
+      } else if (entry.state === 'failed') {
+        releaseNightTile(entry);
+        tiles.delete(key);
+      }
+    }
+    evictTiles();
+  }
+
+  /**
+   * Dispose cached (loaded but unused) tiles, least recently visible first,
+   * until the loaded tiles fit the memory budget
+   */
+  function evictTiles() {
+    if (memoryUsed <= memoryBudget) return;
+
+    const cached = [];
+    for (const [key, entry] of tiles) {
+      if (entry.state !== 'ready' || isWanted(key)) continue;
+      cached.push([key, entry]);
+    }
+    cached.sort((a, b) => a[1].lastVisible - b[1].lastVisible);
+
+    for (const [key, entry] of cached) {
+      if (memoryUsed <= memoryBudget) break;
+      releaseEdgeHeights(entry);
+      disposeTileMesh(entry.mesh);
+      releaseNightTile(entry);
+      memoryUsed -= entry.gpuBytes;
+      tiles.delete(key);
+    }
+  }
+
+  /**
+   * Whether a tile is wanted for the last refresh, or on screen
+   */
+  function isWanted(key) {
+    return leafKeys.has(key) || parentKeys.has(key) || baseKeys.has(key) || visibleKeys.has(key);
+  }
+
+  /**
+   * Make a new tile's edge heights and normals agree with tiles already
+   * sharing those vertices (first come wins), and register the rest for
+   * later neighbours. A tile's own edge normals only see the triangles on
+   * its side, so two tiles would light a shared vertex differently.
+   */
+  function matchEdgeHeights(entry) {
+    const { geometry } = entry.mesh;
+    const heightAttribute = geometry.getAttribute('aHeight');
+    if (!heightAttribute) return;
+
+    const heights = heightAttribute.array;
+    const normalAttribute = geometry.getAttribute('normal');
+    const normals = normalAttribute.array;
+    const columns = TILE_SEGMENTS + 1;
+    entry.edgeKeys = [];
+
+    for (const vertex of getEdgeVertices(TILE_SEGMENTS)) {
+      const key = getGridVertexKey(entry.tile, TILE_SEGMENTS, vertex % columns, Math.floor(vertex / columns));
+      const shared = edgeHeights.get(key);
+      if (shared) {
+        heights[vertex] = shared.height;
+        normals.set(shared.normal, vertex * 3);
+        shared.refs++;
+      } else {
+        edgeHeights.set(key, { height: heights[vertex], normal: normals.slice(vertex * 3, vertex * 3 + 3), refs: 1 });
+      }
+      entry.edgeKeys.push(key);
+    }
+
+    const morphHeights = geometry.getAttribute('aMorphHeights');
+    updateMorphHeights(heights, geometry.userData.morphIndices, morphHeights.array);
+    heightAttribute.needsUpdate = true;
+    normalAttribute.needsUpdate = true;
+    morphHeights.needsUpdate = true;
+  }
+
+  /**
+   * Recompute the normal map texels along a new tile's edges, and along the
+   * facing edges of its loaded same-zoom neighbours, from the heights across
+   * them; each was built without the other
+   */
+  function stitchNormalMaps(entry) {
+    getTileNeighbours(entry.tile).forEach((neighbour, side) => {
+      const other = neighbour && tiles.get(getTileKey(neighbour));
+      if (other?.state !== 'ready') return;
+      updateTileNormalMapEdge(entry, side);
+      updateTileNormalMapEdge(other, side ^ 1);
+    });
+  }
+
+  function updateTileNormalMapEdge(entry, side) {
+    const { geometry, userData } = entry.mesh;
+    const texture = userData.uniforms?.normalMap.value;
+    if (!texture) return;
+
+    const [north, south, west, east] = getTileNeighbours(entry.tile).map(neighbour =>
+      neighbour && tiles.get(getTileKey(neighbour))?.mesh?.geometry.userData.heightmap
     );
+    updateNormalMapEdge(texture.image, entry.tile, geometry.userData.heightmap, { north, south, west, east }, side);
+    texture.needsUpdate = true;
+  }
+
+  /**
+   * Point each edge's morph targets at the grid of the neighbour drawn
+   * there, for levels (N, S, W, E) from getEdgeLevels. Against a tile one
+   * level coarser that's the parent grid the edge morphs to anyway; against
+   * one several levels coarser, the edge morphs onto the straight segments
+   * between that tile's vertices, which may lie beyond this tile.
+   */
+  function pinTileEdges(entry, levels) {
+    const { tile, mesh: { geometry } } = entry;
+    const { edgeLevels, morphIndices, builtRadius } = geometry.userData;
+    if (edgeLevels?.every((level, side) => level === levels[side])) return;
+    geometry.userData.edgeLevels = levels;
+
+    const columns = TILE_SEGMENTS + 1;
+    const positions = geometry.getAttribute('position').array;
+    const heights = geometry.getAttribute('aHeight').array;
+    const attributes = ['aMorphStart', 'aMorphEnd', 'aMorphHeights', 'aMorphWeight'].map(name => geometry.getAttribute(name));
+    const [morphStart, morphEnd, morphHeights, morphWeights] = attributes.map(attribute => attribute.array);
+
+    // Height of a grid vertex, from a neighbour's edge past this tile
+    const getHeight = (i, j) => {
+      if (i >= 0 && i <= TILE_SEGMENTS && j >= 0 && j <= TILE_SEGMENTS) return heights[j * columns + i];
+      return edgeHeights.get(getGridVertexKey(tile, TILE_SEGMENTS, i, j))?.height
+        ?? heights[Math.min(Math.max(j, 0), TILE_SEGMENTS) * columns + Math.min(Math.max(i, 0), TILE_SEGMENTS)];
+    };
 
-    for (const tile of tileData) {
-      if (!tile.terrain || !tile.satellite) continue;
+    // The coarsest edge goes last, so corners follow it (as in the shader)
+    const sides = [0, 1, 2, 3].sort((a, b) => levels[a] - levels[b]);
+    for (const side of sides) {
+      const level = levels[side];
+      const alongRow = side < 2;
+      const fixed = side % 2 === 0 ? 0 : TILE_SEGMENTS;
+      const offset = (alongRow ? tile.x : tile.y) * TILE_SEGMENTS;
+      const step = 2 ** level;
+
+      for (let k = 0; k <= TILE_SEGMENTS; k++) {
+        const vertex = alongRow ? fixed * columns + k : k * columns + fixed;
+
+        if (level < 2) {
+          // The parent grid, as built
+          const a = morphIndices[vertex * 2];
+          const b = morphIndices[vertex * 2 + 1];
+          morphStart.set(positions.subarray(a * 3, a * 3 + 3), vertex * 3);
+          morphEnd.set(positions.subarray(b * 3, b * 3 + 3), vertex * 3);
+          morphHeights[vertex * 2] = heights[a];
+          morphHeights[vertex * 2 + 1] = heights[b];
+          morphWeights[vertex] = 0.5;
+          continue;
+        }
 
-      const tileMesh = createSphericalTileMesh(tile);
-      if (tileMesh) {
-        terrainGroup.add(tileMesh);
+        // Ends of the coarse segment this vertex lies on
+        const k0 = Math.floor((offset + k) / step) * step - offset;
+        const k1 = k0 + step;
+        const [i0, j0, i1, j1] = alongRow ? [k0, fixed, k1, fixed] : [fixed, k0, fixed, k1];
+        setGridVertexPosition(morphStart, vertex * 3, tile, TILE_SEGMENTS, i0, j0, builtRadius);
+        setGridVertexPosition(morphEnd, vertex * 3, tile, TILE_SEGMENTS, i1, j1, builtRadius);
+        morphHeights[vertex * 2] = getHeight(i0, j0);
+        morphHeights[vertex * 2 + 1] = getHeight(i1, j1);
+        morphWeights[vertex] = (k - k0) / step;
       }
     }
+
+    for (const attribute of attributes) attribute.needsUpdate = true;
+  }
+
+  function releaseEdgeHeights(entry) {
+    for (const key of entry.edgeKeys || []) {
+      const shared = edgeHeights.get(key);
+      if (--shared.refs === 0) edgeHeights.delete(key);
+    }
+    entry.edgeKeys = null;
+  }
+
+  /**
+   * Start loading (or share) the night lights tile covering a terrain tile
+   * @returns {Object|null} { zoom, promise } resolving to the texture or null
+   */
+  function acquireNightTile(entry) {
+    if (!nightImagery || !atmosphere) return null;
+
+    const { tile } = entry;
+    const zoom = Math.min(tile.z, nightImagery.maxZoom);
+    const shift = tile.z - zoom;
+    const x = tile.x >> shift;
+    const y = tile.y >> shift;
+    const key = `${zoom}/${x}/${y}`;
+
+    let shared = nightTiles.get(key);
+    if (!shared) {
+      shared = {
+        refs: 0,
+        promise: loadTileImage(nightImagery, zoom, x, y)
+          .then(image => {
+            const texture = new THREE.Texture(image);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            texture.needsUpdate = true;
+            return texture;
+          })
+          .catch(error => {
+            console.warn(`Failed to load night tile ${key}, using the global night map:`, error);
+            return null;
+          }),
+      };
+      nightTiles.set(key, shared);
+    }
+
+    shared.refs++;
+    entry.nightKey = key;
+    return { zoom, promise: shared.promise };
+  }
+
+  function releaseNightTile(entry) {
+    if (!entry.nightKey) return;
+    const shared = nightTiles.get(entry.nightKey);
+    if (--shared.refs === 0) {
+      shared.promise.then(texture => texture?.dispose());
+      nightTiles.delete(entry.nightKey);
+    }
+    entry.nightKey = null;
+  }
+
+  /**
+   * Ground elevation at a point from the finest loaded tile covering it
+   * @returns {Object|null} { elevation (m), radius (km from the centre,
+   *   exaggerated as drawn), zoom }, or null where no tile is loaded
+   */
+  function getElevationAt(lat, lon) {
+    if (Math.abs(lat) > MERCATOR_LIMIT) return null;
+
+    for (let z = maxZoom; z >= MIN_ZOOM; z--) {
+      const { x, y } = latLonToTile(lat, lon, z);
+      const entry = tiles.get(`${z}/${x}/${y}`);
+      const heightmap = entry?.mesh?.geometry.userData.heightmap;
+      if (!heightmap) continue;
+
+      const elevation = sampleTileElevation(entry.tile, heightmap, lat, lon);
+      // Relief flattens across the blend band as the tiles draw it
+      const reliefScale = getReliefScale(latLonToDirection(lat, lon), terrainUniforms);
+      return { elevation, radius: getTerrainRadius(elevation, terrainUniforms, reliefScale), zoom: z };
+    }
+    return null;
+  }
+
+  /**
+   * Intersect a ray with the loaded terrain
+   * Marches from the origin, stepping by the clearance above the ground,
+   * then bisects the crossing. Areas without loaded tiles are never hit.
+   * @param {THREE.Vector3} origin - ray start in world space
+   * @param {THREE.Vector3} direction - ray direction
+   * @returns {Object|null} { lat, lon, elevation (m), point, distance (km) }
+   */
+  function raycastTerrain(origin, direction) {
+    const dir = direction.clone().normalize();
+
+    // Terrain lies in a shell between the highest peak and the ocean floor
+    // (INVERTED WORLD: higher ground is closer to the centre)
+    const innerRadius = getTerrainRadius(HIGHEST_ELEVATION, terrainUniforms);
+    const outerRadius = getTerrainRadius(-Infinity, terrainUniforms);
+
+    // The ray leaves the shell for good where it crosses the outer sphere
+    const b = origin.dot(dir);
+    const c = origin.lengthSq() - outerRadius * outerRadius;
+    const discriminant = b * b - c;
+    if (discriminant < 0) return null;
+    const start = Math.max(-b - Math.sqrt(discriminant), 0);
+    const end = -b + Math.sqrt(discriminant);
+    if (end < 0) return null;
+
+    const point = new THREE.Vector3();
+    const probe = (t) => {
+      point.copy(origin).addScaledVector(dir, t);
+      const radius = point.length();
+      const { lat, lon } = positionToLatLon(point);
+      const ground = getElevationAt(lat, lon);
+      // Positive while above the ground
+      const clearance = ground ? ground.radius - radius : outerRadius - radius;
+      return { lat, lon, ground, radius, clearance };
+    };
+
+    let previous = start;
+    let t = start;
+    for (let step = 0; step < RAYCAST_MAX_STEPS; step++) {
+      const sample = probe(t);
+
+      if (sample.ground && sample.clearance <= 0) {
+        // Refine the crossing between the last point above ground and this one
+        let above = previous;
+        let below = t;
+        for (let i = 0; i < 20 && below - above > 1e-4; i++) {
+          const mid = (above + below) / 2;
+          const midSample = probe(mid);
+          if (midSample.ground && midSample.clearance <= 0) below = mid;
+          else above = mid;
+        }
+
+        const hit = probe(below);
+        return {
+          lat: hit.lat,
+          lon: hit.lon,
+          elevation: hit.ground.elevation,
+          point: point.clone(),
+          distance: below,
+        };
+      }
+
+      if (t >= end) break;
+
+      // Nothing can be hit before the shell; inside it, step by the clearance
+      const stepSize = sample.radius < innerRadius
+        ? innerRadius - sample.radius
+        : Math.min(sample.clearance * 0.5, RAYCAST_MAX_STEP);
+
+      previous = t;
+      t = Math.min(t + Math.max(stepSize, RAYCAST_MIN_STEP), end);
+    }
+
+    return null;
+  }
+
+  /**
+   * Refit tile bounds after a displacement parameter changes, so culling
+   * matches what the shader draws
+   */
+  function updateAllTileBounds() {
+    for (const { mesh } of tiles.values()) {
+      if (mesh?.geometry.userData.seaLevelBounds) {
+        updateTileBounds(mesh.geometry, terrainUniforms);
+      }
+    }
+  }
+
+  /**
+   * Whether a tile is only drawn for a focus region, away from the camera.
+   * Its detail was chosen by screen size, so distance morphing would undo it.
+   */
+  function isFocusTile(tile) {
+    const bounds = getTileBounds(tile.x, tile.y, tile.z);
+    const distance = haversineDistance(
+      lastLat, lastLon,
+      (bounds.north + bounds.south) / 2, (bounds.east + bounds.west) / 2
+    );
+    return distance > MAX_TERRAIN_RADIUS + getTileSizeKm(bounds);
+  }
+
+  /**
+   * Point the coverage uniforms at the camera patch and focus regions
+   */
+  function updateCoverage(cameraLat, cameraLon) {
+    const { uCoverageCenters, uCoverageRadii, uCoverageCount } = terrainUniforms;
+    uCoverageCenters.value[0].copy(latLonToDirection(cameraLat, cameraLon));
+    uCoverageRadii.value[0] = MAX_TERRAIN_RADIUS;
+    focusRegions.forEach((region, i) => {
+      uCoverageCenters.value[i + 1].copy(latLonToDirection(region.lat, region.lon));
+      uCoverageRadii.value[i + 1] = region.radius;
+    });
+    uCoverageCount.value = focusRegions.length + 1;
+  }
+
+  /**
+   * Re-run the quadtree for a camera position and start loading new tiles,
+   * coarsest first
+   * @returns {Promise} resolves when the base (MIN_ZOOM) tiles have loaded
+   */
+  function refresh(cameraLat, cameraLon, cameraAltitude) {
+    const view = {
+      lat: cameraLat,
+      lon: cameraLon,
+      altitude: cameraAltitude,
+      fov: lastFov,
+      frustum,
+      maxZoom,
+      regions: focusRegions,
+    };
+    leafTiles = getQuadtreeLeafTiles(view);
+    leafKeys = new Set(leafTiles.map(getTileKey));
+    updateCoverage(cameraLat, cameraLon);
+
+    const baseTiles = getPatchStartingTiles(view);
+    baseKeys = new Set(baseTiles.map(getTileKey));
+    const base = baseTiles.map(tile => requestTile(tile));
+
+    for (const tile of leafTiles) requestTile(tile);
+
+    parentKeys = new Set();
+    for (const tile of leafTiles) {
+      if (tile.z <= MIN_ZOOM || tiles.get(getTileKey(tile)).state === 'ready') continue;
+      const parent = getParentTile(tile);
+      parentKeys.add(getTileKey(parent));
+      requestTile(parent);
+    }
+
+    // Tiles still waiting from earlier refreshes move with the camera
+    scheduler.updatePriorities(key => getTilePriority(tiles.get(key).tile));
+
+    updateVisibility();
+    reportProgress();
+    return Promise.all(base);
+  }
+
+  // Initial load: wait for coarse coverage around the start location; the
+  // rest refines in the background
+  await refresh(location.lat, location.lon, lastAltitude);
+  console.log(`Quadtree: ${leafTiles.length} leaf tiles`);
+
+  return {
+    group: terrainGroup,
+
+    // Displacement uniforms, shared with the globe by addGlobeDisplacement
+    uniforms: terrainUniforms,
+
+    // Call this each frame; the quadtree is re-run every few frames
+    update(camera) {
+      // The sea level may be animating; keep culling bounds in step with it
+      const seaLevel = bathymetry?.uSeaLevel.value ?? 0;
+      if (seaLevel !== boundsSeaLevel) {
+        boundsSeaLevel = seaLevel;
+        updateAllTileBounds();
+      }
+
+      if (++frameCount % LOD_UPDATE_INTERVAL !== 0) return;
+
+      const { lat, lon } = positionToLatLon(camera.position);
+      const altitude = EARTH_RADIUS - camera.position.length();
+      const fov = camera.fov ?? 60;
+      // Focus region tiles also depend on where the camera looks
+      const turned = focusRegions.length > 0 && !camera.quaternion.equals(lastQuaternion);
+      if (lat === lastLat && lon === lastLon && altitude === lastAltitude && fov === lastFov && !turned) return;
+      lastLat = lat;
+      lastLon = lon;
+      lastAltitude = altitude;
+      lastFov = fov;
+      lastQuaternion.copy(camera.quaternion);
+
+      camera.updateMatrixWorld();
+      viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+      frustum.setFromProjectionMatrix(viewProjection);
+
+      refresh(lat, lon, altitude);
+    },
+
+    /**
+     * Give a region its own detailed terrain, wherever the camera is, e.g.
+     * a mountain range across the sky. Its tiles are chosen by how big they
+     * look on screen.
+     * @param {Object} region - { lat, lon, radius (km), maxZoom }
+     * @returns {Object|null} the region, for removeFocusRegion; null when
+     *   MAX_FOCUS_REGIONS are already registered
+     */
+    addFocusRegion({ lat, lon, radius = DEFAULT_FOCUS_RADIUS, maxZoom: regionMaxZoom = dataMaxZoom }) {
+      if (focusRegions.length >= MAX_FOCUS_REGIONS) {
+        console.warn(`At most ${MAX_FOCUS_REGIONS} focus regions are supported`);
+        return null;
+      }
+      const region = { lat, lon, radius, maxZoom: regionMaxZoom };
+      focusRegions.push(region);
+      refresh(lastLat, lastLon, lastAltitude);
+      return region;
+    },
+
+    removeFocusRegion(region) {
+      const index = focusRegions.indexOf(region);
+      if (index < 0) return;
+      focusRegions.splice(index, 1);
+      refresh(lastLat, lastLon, lastAltitude);
+    },
+
+    getElevationAt,
+    raycastTerrain,
+
+    // Ground elevation directly below a world position (see getElevationAt)
+    getElevationBelow(position) {
+      const { lat, lon } = positionToLatLon(position);
+      return getElevationAt(lat, lon);
+    },
+
+    // Vertical exaggeration of terrain heights (1 = true scale)
+    setExaggeration(exaggeration) {
+      terrainUniforms.uExaggeration.value = exaggeration;
+      updateAllTileBounds();
+    },
+
+    // Ocean depths below this elevation (m) are drawn flat
+    setOceanFloor(elevation) {
+      terrainUniforms.uOceanFloor.value = elevation;
+      updateAllTileBounds();
+    },
+
+    // Distance (km) inside the globe surface that sea level is drawn at
+    setTerrainOffset(offset) {
+      terrainUniforms.uBaseRadius.value = EARTH_RADIUS - offset;
+      updateAllTileBounds();
+    },
+
+    // Hillshading light not from the sun (0 = black shadows, 1 = no shading)
+    setAmbient(ambient) {
+      terrainUniforms.uAmbient.value = ambient;
+    },
+
+    // The globe's day texture (equirectangular, as the night map), for
+    // tiles to fade into toward the edge of the terrain; without one they
+    // end sharply
+    setGlobeMap(texture) {
+      terrainUniforms.uGlobeMap.value = texture;
+      terrainUniforms.uGlobeBlend.value = texture ? 1 : 0;
+    },
+
+    // Procedural detail past the finest data zoom; tiles already synthesized
+    // keep their detail until they're replaced
+    setProceduralDetail(enabled) {
+      maxZoom = enabled ? Math.max(DETAIL_MAX_ZOOM, dataMaxZoom) : dataMaxZoom;
+      terrainUniforms.uDetailStrength.value = enabled ? DETAIL_TEXTURE_STRENGTH : 0;
+      refresh(lastLat, lastLon, lastAltitude);
+    },
+
+    // GPU memory (MB) for loaded tiles, including ones cached off screen
+    setMemoryBudget(megabytes) {
+      memoryBudget = megabytes * 1024 * 1024;
+      evictTiles();
+    },
+
+    // Estimated GPU memory of loaded tiles, in bytes
+    getMemoryStats() {
+      let cached = 0;
+      for (const [key, entry] of tiles) {
+        if (entry.state === 'ready' && !visibleKeys.has(key)) cached++;
+      }
+      return { bytes: memoryUsed, budget: memoryBudget, tiles: tiles.size, visible: visibleKeys.size, cached };
+    },
+
+    // Tint tiles by zoom level (DEBUG_COLORS)
+    setDebugTint(enabled) {
+      terrainUniforms.uDebugTint.value = enabled ? 1 : 0;
+    },
+
+    // Draw tiles as wireframe, with their bounds outlined
+    setDebugWireframe(enabled) {
+      terrainUniforms.uDebugBounds.value = enabled ? 1 : 0;
+      for (const material of tileMaterials.get(terrainUniforms)?.values() ?? []) {
+        material.wireframe = enabled;
+      }
+    },
+
+    /**
+     * Statistics for a debug overlay: getMemoryStats plus tiles on screen per
+     * zoom level, their triangles, texture memory of loaded tiles (bytes) and
+     * tile requests still pending
+     */
+    getStats() {
+      const zooms = {};
+      let triangles = 0;
+      for (const key of visibleKeys) {
+        const { tile, mesh } = tiles.get(key);
+        zooms[tile.z] = (zooms[tile.z] || 0) + 1;
+        triangles += mesh.geometry.index ? mesh.geometry.index.count / 3 : 0;
+      }
+
+      let textureBytes = 0;
+      for (const { mesh } of tiles.values()) {
+        if (mesh) textureBytes += estimateTextureMemory(mesh);
+      }
+
+      return { ...this.getMemoryStats(), zooms, triangles, textureBytes, pending: scheduler.pending };
+    },
+  };
+}
+
+/**
+ * Load a tile and build its mesh, or null if it could not be built
+ * Tiles finer than either source zoom ({ imagery, elevation }) are made
+ * from their ancestors at those zooms (see fetchDetailTile).
+ */
+async function loadTileMesh(tile, providers, terrainUniforms, layerUniforms, signal, sourceZooms) {
+  if (DEBUG_MODE) {
+    // Debug mode: create colored tiles without fetching
+    return createDebugTileMesh(tile);
+  }
+
+  // Download failures are thrown, for the scheduler to retry
+  const tileData = tile.z > Math.min(sourceZooms.imagery, sourceZooms.elevation)
+    ? await fetchDetailTile(tile, providers, sourceZooms, signal)
+    : await fetchTile(tile, providers, signal);
+
+  try {
+    const meshData = await buildMeshData(tileData, terrainUniforms, layerUniforms);
+    const mesh = createSphericalTileMesh(tileData, meshData, terrainUniforms, layerUniforms);
+    mesh.userData.bytes = tileData.bytes;
+    return mesh;
+  } catch (error) {
+    console.warn(`Failed to build tile ${tile.z}/${tile.x}/${tile.y}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Decode a tile's heightmap and build its geometry arrays, in a worker when possible
+ */
+async function buildMeshData(tileData, terrainUniforms, layerUniforms) {
+  const { x, y, z, terrain, encoding, source } = tileData;
+
+  const mesh = {
+    tile: { x, y, z },
+    segments: TILE_SEGMENTS,
+    baseRadius: terrainUniforms.uBaseRadius.value,
+  };
+
+  // Normal maps only shade when there's a sun to light them
+  const normalMap = USE_NORMAL_MAPS && layerUniforms.atmosphere !== null;
+
+  // The elevation blob is the source tile's when synthesizing detail
+  const detail = source ? { source, seed: DETAIL_SEED } : null;
+
+  const pool = getMeshWorkerPool();
+  if (pool) {
+    return pool.run({ blob: terrain, encoding, mesh, normalMap, detail });
+  }
+
+  // Fallback: same work on the main thread
+  let heightmap = await decodeHeightmap(terrain, encoding);
+  if (detail) {
+    heightmap = synthesizeHeightmap(detail.source, heightmap, mesh.tile, detail.seed, mesh.segments);
+  }
+  return {
+    ...buildTileMeshData({ ...mesh, heightmap }),
+    heightmap,
+    normalMap: normalMap ? buildNormalMap(mesh.tile, heightmap) : null,
+  };
+}
+
+function getMeshWorkerPool() {
+  if (meshWorkerPool === undefined) {
+    meshWorkerPool = null;
+    if (typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined') {
+      try {
+        meshWorkerPool = createWorkerPool(
+          () => new Worker(new URL('./tileWorker.js', import.meta.url), { type: 'module' }),
+          MESH_WORKER_COUNT
+        );
+      } catch (error) {
+        console.warn('Tile workers unavailable, building meshes on the main thread:', error);
+      }
+    }
+  }
+  return meshWorkerPool;
+}
+
+/**
+ * Free the GPU resources held by a tile mesh
+ */
+function disposeTileMesh(mesh) {
+  mesh.geometry.dispose();
+
+  // Tile materials are shared; only the textures belong to the tile
+  const { uniforms } = mesh.userData;
+  if (uniforms) {
+    uniforms.map.value.dispose();
+    uniforms.map.value.image.close?.();
+    uniforms.normalMap.value?.dispose();
+  } else {
+    mesh.material.dispose();
+  }
+}
+
+/**
+ * Rough GPU memory of a tile mesh: vertex buffers plus its own textures,
+ * with a third extra for mipmaps (night tiles are shared and not counted)
+ */
+function estimateTileMemory(mesh) {
+  const { geometry } = mesh;
+  let bytes = geometry.index ? geometry.index.array.byteLength : 0;
+  for (const attribute of Object.values(geometry.attributes)) {
+    bytes += attribute.array.byteLength;
   }
+  return bytes + estimateTextureMemory(mesh);
+}
 
-  return terrainGroup;
+/**
+ * GPU memory of a tile's own textures, mipmaps included
+ */
+function estimateTextureMemory(mesh) {
+  const { uniforms } = mesh.userData;
+  if (!uniforms) return 0;
+
+  const { image } = uniforms.map.value;
+  let bytes = image.width * image.height * 4 * 4 / 3;
+  const normalImage = uniforms.normalMap.value?.image;
+  if (normalImage) bytes += normalImage.width * normalImage.height * 2 * 4 / 3;
+  return bytes;
+}
+
+/**
+ * Bilinearly sample a tile's heightmap at a lat/lon inside it (meters)
+ */
+function sampleTileElevation(tile, heightmap, lat, lon) {
+  const n = Math.pow(2, tile.z);
+  const latRad = lat * Math.PI / 180;
+  const u = (lon + 180) / 360 * n - tile.x;
+  const v = (1 - Math.asinh(Math.tan(latRad)) / Math.PI) / 2 * n - tile.y;
+  return sampleHeightmap(heightmap, u, v);
+}
+
+/**
+ * Distance from the centre of a point at some elevation, as the tile shader
+ * displaces it (INVERTED WORLD: higher ground is closer to the centre)
+ * @param {number} reliefScale - share of the relief kept (see getReliefScale)
+ */
+function getTerrainRadius(elevation, terrainUniforms, reliefScale = 1) {
+  const { uBaseRadius, uExaggeration } = terrainUniforms;
+  return uBaseRadius.value - (getSurfaceElevation(elevation, terrainUniforms) / 1000) * uExaggeration.value * reliefScale;
+}
+
+/**
+ * Height (m) the tile shader draws the ground at: land flooded by a risen
+ * sea lies flat under its surface (see floodingShaderChunk), and the ocean
+ * is flat below the ocean floor
+ */
+function getSurfaceElevation(elevation, terrainUniforms) {
+  const seaLevel = terrainUniforms.uSeaLevel?.value ?? 0;
+  const flooded = elevation > -0.5 && elevation < seaLevel;
+  return Math.max(flooded ? seaLevel : elevation, getOceanFloor(terrainUniforms));
+}
+
+/**
+ * Share of the relief the tile shader keeps in a direction: the coverage
+ * fade and relief scale of COVERAGE_SHADER_CHUNK
+ */
+function getReliefScale(direction, terrainUniforms) {
+  const { uBaseRadius, uCoverageCenters, uCoverageRadii, uCoverageCount, uBlendBand, uGlobeRelief } = terrainUniforms;
+  let fade = 1;
+  for (let i = 0; i < uCoverageCount.value; i++) {
+    const angle = Math.acos(THREE.MathUtils.clamp(direction.dot(uCoverageCenters.value[i]), -1, 1));
+    const radius = uCoverageRadii.value[i];
+    const band = Math.min(uBlendBand.value, 0.5 * radius);
+    fade = Math.min(fade, THREE.MathUtils.smoothstep(angle * uBaseRadius.value, radius - band, radius));
+  }
+  return 1 - fade * (1 - uGlobeRelief.value);
+}
+
+/**
+ * Elevation (m) below which the shader draws the ocean flat; it moves with
+ * the sea level
+ */
+function getOceanFloor(terrainUniforms) {
+  return terrainUniforms.uOceanFloor.value + (terrainUniforms.uSeaLevel?.value ?? 0);
+}
+
+/**
+ * Fit a tile's bounding sphere to its displaced vertices
+ */
+function updateTileBounds(geometry, terrainUniforms) {
+  const { seaLevelBounds, builtRadius, minElevation, maxElevation } = geometry.userData;
+  const baseRadius = terrainUniforms.uBaseRadius.value;
+
+  // Vertices move radially from sea level by at most this much
+  // (flooded land moves to the sea level)
+  const reach = Math.max(
+    Math.abs(getTerrainRadius(minElevation, terrainUniforms) - baseRadius),
+    Math.abs(getTerrainRadius(maxElevation, terrainUniforms) - baseRadius),
+    Math.abs(getTerrainRadius(terrainUniforms.uSeaLevel?.value ?? 0, terrainUniforms) - baseRadius)
+  );
+
+  const scale = baseRadius / builtRadius;
+  geometry.boundingSphere.center.copy(seaLevelBounds.center).multiplyScalar(scale);
+  geometry.boundingSphere.radius = seaLevelBounds.radius * scale + reach;
+}
+
+/**
+ * Unique key for a tile
+ */
+function getTileKey(tile) {
+  return `${tile.z}/${tile.x}/${tile.y}`;
+}
+
+/**
+ * Convert a world position to lat/lon (inverse of the spherical mapping used for tiles)
+ */
+function positionToLatLon(position) {
+  const radius = position.length();
+  const lat = 90 - Math.acos(position.y / radius) * 180 / Math.PI;
+  const lon = -Math.atan2(position.x, position.z) * 180 / Math.PI;
+  return { lat, lon };
+}
+
+/**
+ * Unit vector for a lat/lon (the spherical mapping used for tiles)
+ */
+function latLonToDirection(lat, lon) {
+  const phi = (90 - lat) * (Math.PI / 180);
+  const theta = -lon * Math.PI / 180;
+  return new THREE.Vector3(
+    Math.sin(phi) * Math.sin(theta),
+    Math.cos(phi),
+    Math.sin(phi) * Math.cos(theta)
+  );
 }
 
 /**
  * Traverse quadtree and return leaf tiles (tiles that won't be subdivided)
  */
-function getQuadtreeLeafTiles(cameraLat, cameraLon) {
+function getQuadtreeLeafTiles(view) {
   const leafTiles = [];
 
   // Start with coarse tiles covering the area
-  const startTiles = getStartingTiles(cameraLat, cameraLon, MIN_ZOOM);
+  const startTiles = getPatchStartingTiles(view);
+
+  // Camera position, for the screen size of focus region tiles
+  const cameraPosition = latLonToDirection(view.lat, view.lon).multiplyScalar(EARTH_RADIUS - view.altitude);
 
   // Process each starting tile recursively
   for (const tile of startTiles) {
-    collectLeafTiles(tile, cameraLat, cameraLon, leafTiles);
+    collectLeafTiles(tile, view, cameraPosition, leafTiles);
   }
 
-  return leafTiles;
+  // Neighbours may differ by at most one zoom level, so leaves blend smoothly
+  // (stand-ins for loading leaves can differ by more; see pinTileEdges)
+  return balanceLeafTiles(leafTiles);
+}
+
+/**
+ * Split leaf tiles until no two neighbours differ by more than one zoom level
+ * (a restricted quadtree)
+ */
+function balanceLeafTiles(leafTiles) {
+  const leaves = new Map(leafTiles.map(tile => [getTileKey(tile), tile]));
+  const queue = [...leafTiles];
+
+  while (queue.length > 0) {
+    const tile = queue.pop();
+    if (!leaves.has(getTileKey(tile))) continue;
+
+    for (const neighbour of getTileNeighbours(tile)) {
+      if (!neighbour) continue;
+
+      // Find a leaf two or more levels coarser covering the neighbour
+      for (let z = tile.z - 2; z >= MIN_ZOOM; z--) {
+        const shift = tile.z - z;
+        const key = `${z}/${neighbour.x >> shift}/${neighbour.y >> shift}`;
+        const coarse = leaves.get(key);
+        if (!coarse) continue;
+
+        // Split it; its children get balanced in turn, and this tile is
+        // checked again in case one split wasn't enough
+        leaves.delete(key);
+        for (const child of getChildTiles(coarse.x, coarse.y, coarse.z)) {
+          leaves.set(getTileKey(child), child);
+          queue.push(child);
+        }
+        queue.push(tile);
+        break;
+      }
+    }
+  }
+
+  return [...leaves.values()];
+}
+
+/**
+ * Coordinates of the same-zoom tiles across each edge, in the order
+ * north, south, west, east (null past the poles)
+ */
+function getTileNeighbours(tile) {
+  const { x, y, z } = tile;
+  const n = Math.pow(2, z);
+  return [
+    y > 0 ? { x, y: y - 1, z } : null,
+    y < n - 1 ? { x, y: y + 1, z } : null,
+    { x: (x - 1 + n) % n, y, z },
+    { x: (x + 1) % n, y, z },
+  ];
+}
+
+/**
+ * What each tile edge (north, south, west, east) meets: the number of zoom
+ * levels the neighbour drawn there is coarser, so the edge is pinned to its
+ * grid (see pinTileEdges); 0 where finer tiles are drawn across it, so the
+ * edge keeps the full grid they pin themselves to; -1 (free, distance based)
+ * where the neighbour has the same zoom or nothing is drawn.
+ * @param {Set} refinedKeys - ancestors of the visible tiles
+ */
+function getEdgeLevels(tile, visibleKeys, refinedKeys) {
+  return getTileNeighbours(tile).map((neighbour) => {
+    if (!neighbour) return -1;
+    const { x, y, z } = neighbour;
+
+    if (visibleKeys.has(getTileKey(neighbour))) return -1;
+    // Before coarser tiles: a stand-in may be visible over finer ones
+    if (refinedKeys.has(getTileKey(neighbour))) return 0;
+
+    for (let shift = 1; shift <= z - MIN_ZOOM; shift++) {
+      if (visibleKeys.has(`${z - shift}/${x >> shift}/${y >> shift}`)) return shift;
+    }
+    return -1;
+  });
+}
+
+/**
+ * Indices of the vertices on the border of a tile grid
+ */
+function getEdgeVertices(segments) {
+  const columns = segments + 1;
+  const vertices = new Set();
+  for (let k = 0; k <= segments; k++) {
+    vertices.add(k);                          // north row
+    vertices.add(segments * columns + k);     // south row
+    vertices.add(k * columns);                // west column
+    vertices.add(k * columns + segments);     // east column
+  }
+  return vertices;
+}
+
+/**
+ * Starting tiles covering the camera patch and every focus region, without
+ * duplicates where they overlap
+ */
+function getPatchStartingTiles(view) {
+  const tiles = new Map();
+  const patches = [{ lat: view.lat, lon: view.lon, radius: MAX_TERRAIN_RADIUS }, ...view.regions];
+  for (const { lat, lon, radius } of patches) {
+    for (const tile of getStartingTiles(lat, lon, MIN_ZOOM, radius)) {
+      tiles.set(getTileKey(tile), tile);
+    }
+  }
+  return [...tiles.values()];
 }
 
 /**
  * Get starting tiles at MIN_ZOOM that cover the terrain area
  */
-function getStartingTiles(centerLat, centerLon, zoom) {
+function getStartingTiles(centerLat, centerLon, zoom, radius = MAX_TERRAIN_RADIUS) {
   const tiles = [];
 
   // Convert max radius to degrees
   const kmPerDegLat = 111.32;
   const kmPerDegLon = 111.32 * Math.cos(centerLat * Math.PI / 180);
-  const radiusDegLat = MAX_TERRAIN_RADIUS / kmPerDegLat;
-  const radiusDegLon = MAX_TERRAIN_RADIUS / kmPerDegLon;
+  const radiusDegLat = radius / kmPerDegLat;
+  const radiusDegLon = radius / kmPerDegLon;
+
+  // Get bounding box in tile coordinates (clamped to the Web Mercator limit)
+  const minTile = latLonToTile(Math.min(centerLat + radiusDegLat, MERCATOR_LIMIT), 0, zoom);
+  const maxTile = latLonToTile(Math.max(centerLat - radiusDegLat, -MERCATOR_LIMIT), 0, zoom);
 
-  // Get bounding box in tile coordinates
-  const minTile = latLonToTile(centerLat + radiusDegLat, centerLon - radiusDegLon, zoom);
-  const maxTile = latLonToTile(centerLat - radiusDegLat, centerLon + radiusDegLon, zoom);
+  // Columns may run past the antimeridian, so wrap them instead of clamping
+  const n = Math.pow(2, zoom);
+  const minX = Math.floor((centerLon - radiusDegLon + 180) / 360 * n);
+  const maxX = Math.min(Math.floor((centerLon + radiusDegLon + 180) / 360 * n), minX + n - 1);
 
   for (let y = minTile.y; y <= maxTile.y; y++) {
-    for (let x = minTile.x; x <= maxTile.x; x++) {
+    for (let col = minX; col <= maxX; col++) {
+      const x = ((col % n) + n) % n;
       const bounds = getTileBounds(x, y, zoom);
       const tileCenter = {
         lat: (bounds.north + bounds.south) / 2,
@@ -138,7 +1445,7 @@ function getStartingTiles(centerLat, centerLon, zoom) {
 
       // Only include tiles within max radius
       const dist = haversineDistance(centerLat, centerLon, tileCenter.lat, tileCenter.lon);
-      if (dist < MAX_TERRAIN_RADIUS + getTileSizeKm(bounds)) {
+      if (dist < radius + getTileSizeKm(bounds)) {
         tiles.push({ x, y, z: zoom, bounds });
       }
     }
@@ -148,9 +1455,10 @@ function getStartingTiles(centerLat, centerLon, zoom) {
 }
 
 /**
- * Recursively collect leaf tiles - subdivide if close to camera
+ * Recursively collect leaf tiles - subdivide if close to camera, or if big
+ * on screen inside a focus region
  */
-function collectLeafTiles(tile, cameraLat, cameraLon, leafTiles) {
+function collectLeafTiles(tile, view, cameraPosition, leafTiles) {
   const { x, y, z, bounds } = tile;
 
   // Calculate distance from camera to tile center
@@ -158,25 +1466,45 @@ function collectLeafTiles(tile, cameraLat, cameraLon, leafTiles) {
     lat: (bounds.north + bounds.south) / 2,
     lon: (bounds.east + bounds.west) / 2
   };
-  const distance = haversineDistance(cameraLat, cameraLon, tileCenter.lat, tileCenter.lon);
+  const distance = haversineDistance(view.lat, view.lon, tileCenter.lat, tileCenter.lon);
 
   // Calculate tile size in km
   const tileSizeKm = getTileSizeKm(bounds);
 
-  // Skip if too far from camera
-  if (distance > MAX_TERRAIN_RADIUS + tileSizeKm) {
+  const nearCamera = distance <= MAX_TERRAIN_RADIUS + tileSizeKm;
+  const regions = view.regions.filter(region =>
+    haversineDistance(region.lat, region.lon, tileCenter.lat, tileCenter.lon) <= region.radius + tileSizeKm
+  );
+
+  // Skip if too far from camera and outside every focus region
+  if (!nearCamera && regions.length === 0) {
     return;
   }
 
+  // Distance from the camera itself, including altitude, to match the
+  // per-vertex distances the shader uses for geomorphing
+  const viewDistance = Math.hypot(distance, Math.max(view.altitude, 0));
+
   // Decide whether to subdivide
   // Subdivide if: close enough AND not at max zoom
-  const shouldSubdivide = z < MAX_ZOOM && distance < tileSizeKm * SUBDIVISION_FACTOR;
+  let shouldSubdivide = nearCamera && z < view.maxZoom && viewDistance < tileSizeKm * SUBDIVISION_FACTOR;
+
+  // Focus regions: subdivide while the tile is in view and looks big (as a
+  // share of the view height), by straight-line distance as it may be
+  // across the sphere
+  if (!shouldSubdivide && view.fov !== null && regions.some(region => z < Math.min(region.maxZoom, view.maxZoom))) {
+    const center = latLonToDirection(tileCenter.lat, tileCenter.lon).multiplyScalar(EARTH_RADIUS);
+    // Generous: the tile's half diagonal, plus its curvature and relief
+    const inView = view.frustum.intersectsSphere(new THREE.Sphere(center, tileSizeKm));
+    const screenSize = (tileSizeKm / cameraPosition.distanceTo(center)) / (view.fov * Math.PI / 180);
+    shouldSubdivide = inView && screenSize > FOCUS_TILE_SCREEN_SIZE;
+  }
 
   if (shouldSubdivide) {
     // Get 4 child tiles at next zoom level
     const children = getChildTiles(x, y, z);
     for (const child of children) {
-      collectLeafTiles(child, cameraLat, cameraLon, leafTiles);
+      collectLeafTiles(child, view, cameraPosition, leafTiles);
     }
   } else {
     // This is a leaf tile - add it
@@ -184,6 +1512,27 @@ function collectLeafTiles(tile, cameraLat, cameraLon, leafTiles) {
   }
 }
 
+/**
+ * Get the tile one zoom level coarser containing a tile
+ */
+function getParentTile(tile) {
+  const { x, y, z } = tile;
+  return { x: x >> 1, y: y >> 1, z: z - 1, bounds: getTileBounds(x >> 1, y >> 1, z - 1) };
+}
+
+/**
+ * Keys of every ancestor (down to MIN_ZOOM) of some tiles
+ */
+function getAncestorKeys(tiles) {
+  const keys = new Set();
+  for (const { x, y, z } of tiles) {
+    for (let shift = 1; shift <= z - MIN_ZOOM; shift++) {
+      keys.add(`${z - shift}/${x >> shift}/${y >> shift}`);
+    }
+  }
+  return keys;
+}
+
 /**
  * Get the 4 child tiles of a parent tile
  */
@@ -284,219 +1633,489 @@ function createDebugTileMesh(tile) {
 
 /**
  * Creates a spherical tile mesh - vertices on the INSIDE of the sphere
+ * @param {Object} tileData - tile with loaded satellite image
+ * @param {Object} meshData - typed arrays from buildTileMeshData
+ * @param {Object} terrainUniforms - uniforms shared by all tiles
+ * @param {Object} layerUniforms - { atmosphere, bathymetry, clouds, water }
+ *   uniforms of the layers the tiles are shaded with
  */
-function createSphericalTileMesh(tileData) {
-  const { bounds, terrain, satellite, z: zoom } = tileData;
-
-  // Segments per tile - more for higher zoom (more detail)
-  const segments = Math.min(64, Math.max(16, Math.pow(2, zoom - 6)));
+function createSphericalTileMesh(tileData, meshData, terrainUniforms, layerUniforms) {
+  const { satellite, z: zoom } = tileData;
+  const { positions, normals, uvs, indices, heights, morphStart, morphEnd, morphHeights, morphWeights, morphIndices } = meshData;
 
-  // Create geometry
+  // Upload the prebuilt arrays as-is
   const geometry = new THREE.BufferGeometry();
-
-  const vertices = [];
-  const uvs = [];
-  const indices = [];
-
-  // Get heightmap data
-  const heightCanvas = document.createElement('canvas');
-  heightCanvas.width = terrain.width;
-  heightCanvas.height = terrain.height;
-  const heightCtx = heightCanvas.getContext('2d');
-  heightCtx.drawImage(terrain, 0, 0);
-  const heightData = heightCtx.getImageData(0, 0, terrain.width, terrain.height);
-  const heightPixels = heightData.data;
-
-  // Base radius for terrain
-  const baseRadius = EARTH_RADIUS - TERRAIN_OFFSET;
-
-  // Generate vertices on sphere surface
-  for (let j = 0; j <= segments; j++) {
-    for (let i = 0; i <= segments; i++) {
-      const u = i / segments;
-      const v = j / segments;
-
-      // Interpolate lat/lon within tile bounds
-      const lat = bounds.north + (bounds.south - bounds.north) * v;
-      const lon = bounds.west + (bounds.east - bounds.west) * u;
-
-      // Sample heightmap
-      const px = Math.floor(u * (terrain.width - 1));
-      const py = Math.floor(v * (terrain.height - 1));
-      const pixelIndex = (py * terrain.width + px) * 4;
-
-      const r = heightPixels[pixelIndex];
-      const g = heightPixels[pixelIndex + 1];
-      const b = heightPixels[pixelIndex + 2];
-
-      // Decode Mapbox terrain-RGB to elevation in meters
-      const elevationMeters = -10000 + ((r * 256 * 256 + g * 256 + b) * 0.1);
-
-      // Convert to km with exaggeration, clamp ocean depth
-      const clampedElevation = elevationMeters < 0 ? Math.max(elevationMeters, -50) : elevationMeters;
-      const elevationKm = (clampedElevation / 1000) * 3; // 3x exaggeration
-
-      // INVERTED WORLD: Subtract elevation to bring higher terrain closer to center
-      const radius = baseRadius - elevationKm;
-
-      // Convert lat/lon to spherical coordinates
-      const phi = (90 - lat) * (Math.PI / 180);
-      const theta = -lon * Math.PI / 180;
-
-      // Spherical to Cartesian (THREE.js convention)
-      const x = radius * Math.sin(phi) * Math.sin(theta);
-      const y = radius * Math.cos(phi);
-      const z = radius * Math.sin(phi) * Math.cos(theta);
-
-      vertices.push(x, y, z);
-      uvs.push(u, 1 - v);
-    }
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+  geometry.setAttribute('aHeight', new THREE.BufferAttribute(heights, 1));
+  geometry.setAttribute('aMorphStart', new THREE.BufferAttribute(morphStart, 3));
+  geometry.setAttribute('aMorphEnd', new THREE.BufferAttribute(morphEnd, 3));
+  geometry.setAttribute('aMorphHeights', new THREE.BufferAttribute(morphHeights, 2));
+  geometry.setAttribute('aMorphWeight', new THREE.BufferAttribute(morphWeights, 1));
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+  geometry.userData.morphIndices = morphIndices;
+
+  // Full resolution heights, kept for elevation queries
+  geometry.userData.heightmap = meshData.heightmap;
+
+  // Positions are on the sea-level sphere they were built for; keep what's
+  // needed to refit the bounds whenever the displacement uniforms change
+  let minElevation = Infinity;
+  let maxElevation = -Infinity;
+  for (const h of heights) {
+    minElevation = Math.min(minElevation, h);
+    maxElevation = Math.max(maxElevation, h);
   }
+  geometry.computeBoundingSphere();
+  Object.assign(geometry.userData, {
+    seaLevelBounds: geometry.boundingSphere.clone(),
+    builtRadius: Math.hypot(positions[0], positions[1], positions[2]),
+    minElevation,
+    maxElevation,
+  });
+  updateTileBounds(geometry, terrainUniforms);
 
-  // Generate indices
-  for (let j = 0; j < segments; j++) {
-    for (let i = 0; i < segments; i++) {
-      const a = j * (segments + 1) + i;
-      const b = a + 1;
-      const c = a + (segments + 1);
-      const d = c + 1;
-
-      indices.push(a, c, b);
-      indices.push(b, c, d);
-    }
-  }
+  // Create texture from satellite imagery. Images are flipped on upload;
+  // bitmaps (cropped from an ancestor for synthesized tiles) are flipped as
+  // they're cropped, since WebGL can't flip bitmaps on upload
+  const texture = new THREE.Texture(satellite);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.flipY = !(satellite instanceof ImageBitmap);
+  texture.needsUpdate = true;
 
-  // Add skirt geometry
-  const skirtData = generateSkirt(vertices, indices, segments);
+  const normalTexture = meshData.normalMap ? createNormalMapTexture(meshData.normalMap) : null;
 
-  geometry.setAttribute('position', new THREE.Float32BufferAttribute(
-    [...vertices, ...skirtData.vertices], 3
-  ));
-  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(
-    [...uvs, ...skirtData.uvs], 2
-  ));
-  geometry.setIndex([...indices, ...skirtData.indices]);
+  const mesh = new THREE.Mesh(geometry, getTileMaterial(terrainUniforms, layerUniforms, normalTexture !== null, false));
+  mesh.name = `tile-${tileData.x}-${tileData.y}-z${zoom}`;
 
-  geometry.computeVertexNormals();
+  // Distance (km, at the equator) at which this tile merges into its parent
+  mesh.userData.morphDistance = 2 * SUBDIVISION_FACTOR * 2 * Math.PI * EARTH_RADIUS / Math.pow(2, zoom);
+
+  // Uniforms of this tile alone, copied into the shared material as it's drawn
+  mesh.userData.uniforms = {
+    map: { value: texture },
+    normalMap: { value: normalTexture },
+    nightTileMap: { value: null },
+    uNightTileTransform: { value: new THREE.Vector4(0, 0, 1, 1) },
+    uMorphDistance: { value: mesh.userData.morphDistance },
+    uEdgeMorph: { value: new THREE.Vector4(-1, -1, -1, -1) },
+    uQuadrants: { value: new THREE.Vector4(1, 1, 1, 1) },
+    uDetailOrigin: { value: getDetailOrigin(tileData) },
+    uDebugColor: { value: new THREE.Color(DEBUG_COLORS[zoom] ?? 0xffffff) },
+  };
+  mesh.onBeforeRender = applyTileUniforms;
 
-  // Create texture from satellite imagery
-  const satCanvas = document.createElement('canvas');
-  satCanvas.width = satellite.width;
-  satCanvas.height = satellite.height;
-  const satCtx = satCanvas.getContext('2d');
-  satCtx.drawImage(satellite, 0, 0);
+  return mesh;
+}
 
-  const texture = new THREE.CanvasTexture(satCanvas);
-  texture.colorSpace = THREE.SRGBColorSpace;
+/**
+ * Shared tile material for a combination of optional maps
+ * Every tile with the same defines draws with one material (and program);
+ * per-tile uniforms are swapped in by applyTileUniforms.
+ */
+function getTileMaterial(terrainUniforms, layerUniforms, hasNormalMap, hasNightTile) {
+  let materials = tileMaterials.get(terrainUniforms);
+  if (!materials) {
+    materials = new Map();
+    tileMaterials.set(terrainUniforms, materials);
+  }
 
-  let material;
+  const key = `${hasNormalMap}/${hasNightTile}`;
+  let material = materials.get(key);
+  if (!material) {
+    const defines = getTileDefines(layerUniforms, hasNormalMap);
+    if (hasNightTile) defines.USE_NIGHT_TILE = '';
 
-  if (atmosphereUniforms) {
-    // Use atmospheric scattering shader
     material = new THREE.ShaderMaterial({
       uniforms: {
-        map: { value: texture },
-        ...atmosphereUniforms
+        map: { value: null },
+        normalMap: { value: null },
+        nightTileMap: { value: null },
+        uNightTileTransform: { value: new THREE.Vector4(0, 0, 1, 1) },
+        uSegments: { value: TILE_SEGMENTS },
+        uMorphDistance: { value: 0 },
+        uEdgeMorph: { value: new THREE.Vector4(-1, -1, -1, -1) },
+        uQuadrants: { value: new THREE.Vector4(1, 1, 1, 1) },
+        uDetailOrigin: { value: new THREE.Vector3() },
+        uDebugColor: { value: new THREE.Color() },
+        ...terrainUniforms,
+        ...layerUniforms.atmosphere,
+        ...layerUniforms.bathymetry,
+        ...layerUniforms.clouds,
+        ...layerUniforms.water
       },
-      vertexShader: `
-        varying vec2 vUv;
-        varying vec3 vWorldPosition;
-
-        void main() {
-          vUv = uv;
-          vec4 worldPos = modelMatrix * vec4(position, 1.0);
-          vWorldPosition = worldPos.xyz;
-          gl_Position = projectionMatrix * viewMatrix * worldPos;
-        }
-      `,
-      fragmentShader: `
-        uniform sampler2D map;
-        ${atmosphereShaderChunk}
-
-        varying vec2 vUv;
-        varying vec3 vWorldPosition;
-
-        void main() {
-          vec4 texColor = texture2D(map, vUv);
-          vec3 finalColor = applyAtmosphere(texColor.rgb, vWorldPosition);
-          gl_FragColor = vec4(finalColor, texColor.a);
-        }
-      `,
-      side: THREE.DoubleSide,
-    });
-  } else {
-    // Fallback to basic material
-    material = new THREE.MeshBasicMaterial({
-      map: texture,
+      defines,
+      vertexShader: TILE_VERTEX_SHADER,
+      fragmentShader: TILE_FRAGMENT_SHADER,
       side: THREE.DoubleSide,
+      wireframe: terrainUniforms.uDebugBounds.value > 0,
+      ...TERRAIN_STENCIL,
     });
+    materials.set(key, material);
   }
+  return material;
+}
 
-  const mesh = new THREE.Mesh(geometry, material);
-  mesh.name = `tile-${tileData.x}-${tileData.y}-z${zoom}`;
+/**
+ * Where a tile sits on the imagery detail noise grid: its north-west corner
+ * in cells (wrapped to DETAIL_TEXTURE_PERIOD) and the cells across it.
+ * Tiles with more cells than a period are too coarse to show the noise.
+ */
+function getDetailOrigin({ x, y, z }) {
+  const cells = 2 ** (DETAIL_TEXTURE_ZOOM + 8 - z);
+  if (cells >= DETAIL_TEXTURE_PERIOD) return new THREE.Vector3(0, 0, cells);
+  return new THREE.Vector3((x * cells) % DETAIL_TEXTURE_PERIOD, (y * cells) % DETAIL_TEXTURE_PERIOD, cells);
+}
 
-  return mesh;
+/**
+ * onBeforeRender for tile meshes: point the shared material at this tile
+ */
+function applyTileUniforms(renderer, scene, camera, geometry, material) {
+  const { uniforms } = this.userData;
+  for (const name in uniforms) {
+    material.uniforms[name].value = uniforms[name].value;
+  }
+  material.uniformsNeedUpdate = true;
 }
 
 /**
- * Generate skirt geometry to hide seams between tiles
+ * Light a tile's night side from a (same or coarser zoom) night lights tile
  */
-function generateSkirt(mainVertices, mainIndices, segments) {
-  const vertices = [];
-  const uvs = [];
-  const indices = [];
+function setNightTile(mesh, tile, nightZoom, texture, terrainUniforms, layerUniforms) {
+  const { uniforms } = mesh.userData;
+  const size = Math.pow(2, tile.z - nightZoom);
+  const localX = tile.x % size;
+  const localY = tile.y % size;
+
+  // Tile uv to night tile uv (v runs up from the south edge in both)
+  uniforms.nightTileMap.value = texture;
+  uniforms.uNightTileTransform.value.set(localX / size, (size - 1 - localY) / size, 1 / size, 1 / size);
+  mesh.material = getTileMaterial(terrainUniforms, layerUniforms, uniforms.normalMap.value !== null, true);
+}
 
-  const skirtDepth = 0.5; // km
-  const vertexCount = mainVertices.length / 3;
+/**
+ * Upload a normal map from buildNormalMap (east/north normal components)
+ */
+function createNormalMapTexture({ data, width, height }) {
+  const texture = new THREE.DataTexture(data, width, height, THREE.RGFormat);
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.generateMipmaps = true;
+  texture.needsUpdate = true;
+  return texture;
+}
 
-  const getVertex = (idx) => ({
-    x: mainVertices[idx * 3],
-    y: mainVertices[idx * 3 + 1],
-    z: mainVertices[idx * 3 + 2]
-  });
+function getTileDefines({ atmosphere, bathymetry, clouds, water }, hasNormalMap) {
+  const defines = {};
+  if (atmosphere) defines.USE_ATMOSPHERE = '';
+  if (bathymetry) defines.USE_BATHYMETRY = '';
+  // Cloud shadows are part of the sun lighting
+  if (atmosphere && clouds) defines.USE_CLOUDS = '';
+  if (atmosphere && water) defines.USE_WATER = '';
+  if (hasNormalMap) defines.USE_NORMAL_MAP = '';
+  return defines;
+}
 
-  const extendOutward = (v) => {
-    const len = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
-    const scale = (len + skirtDepth) / len;
-    return { x: v.x * scale, y: v.y * scale, z: v.z * scale };
-  };
+// Where the terrain patch gives way to the globe; shared by both tile shaders
+const COVERAGE_SHADER_CHUNK = `
+  #define MAX_COVERAGE_PATCHES ${MAX_FOCUS_REGIONS + 1}
+  uniform vec3 uCoverageCenters[MAX_COVERAGE_PATCHES];  // unit vectors to patch centres
+  uniform float uCoverageRadii[MAX_COVERAGE_PATCHES];   // km
+  uniform int uCoverageCount;
+  uniform float uBlendBand;                             // km
+  uniform float uGlobeRelief;                           // 1 = the globe is displaced too
+
+  // 0 inside a patch, rising to 1 across the blend band at its edge
+  float getCoverageFade(vec3 position) {
+    vec3 direction = normalize(position);
+    float fade = 1.0;
+    for (int i = 0; i < MAX_COVERAGE_PATCHES; i++) {
+      if (i >= uCoverageCount) break;
+      float cosAngle = clamp(dot(direction, uCoverageCenters[i]), -1.0, 1.0);
+      float dist = acos(cosAngle) * uBaseRadius;
+      float band = min(uBlendBand, 0.5 * uCoverageRadii[i]);
+      fade = min(fade, smoothstep(uCoverageRadii[i] - band, uCoverageRadii[i], dist));
+    }
+    return fade;
+  }
 
-  const edges = [
-    Array.from({ length: segments + 1 }, (_, i) => i),
-    Array.from({ length: segments + 1 }, (_, i) => segments * (segments + 1) + i),
-    Array.from({ length: segments + 1 }, (_, j) => j * (segments + 1)),
-    Array.from({ length: segments + 1 }, (_, j) => j * (segments + 1) + segments),
-  ];
+  // Share of the relief kept at a coverage fade: it flattens to sea level to
+  // meet a smooth globe, but carries on into a displaced one
+  float getReliefScale(float coverageFade) {
+    return 1.0 - coverageFade * (1.0 - uGlobeRelief);
+  }
+`;
+
+// Elevation (m) below which the ocean is drawn flat, following the sea level
+const OCEAN_FLOOR_SHADER_CHUNK = `
+  float getOceanFloor() {
+    #ifdef USE_BATHYMETRY
+    return uOceanFloor + uSeaLevel;
+    #else
+    return uOceanFloor;
+    #endif
+  }
+`;
+
+// Displaces the sea-level grid by height and geomorphs odd vertices toward
+// the parent grid as the camera moves away, so LOD changes don't pop
+const TILE_VERTEX_SHADER = `
+  uniform int uSegments;
+  uniform float uMorphDistance;  // km, merge distance at the equator
+  uniform vec4 uEdgeMorph;       // forced morph per edge (N, S, W, E), negative = free
+  uniform float uBaseRadius;
+  uniform float uExaggeration;
+  uniform float uOceanFloor;
+  #ifdef USE_BATHYMETRY
+  uniform float uSeaLevel;
+  ${floodingShaderChunk}
+  #endif
+  ${COVERAGE_SHADER_CHUNK}
+  ${OCEAN_FLOOR_SHADER_CHUNK}
+
+  attribute float aHeight;
+  attribute vec3 aMorphStart;
+  attribute vec3 aMorphEnd;
+  attribute vec2 aMorphHeights;
+  attribute float aMorphWeight;
+
+  varying vec2 vUv;
+  varying vec3 vWorldPosition;
+  varying vec3 vNormal;
+  varying float vElevation;
+
+  // INVERTED WORLD: Subtract elevation to bring higher terrain closer to center
+  // Relief fades toward the edge of the patch, to meet the globe (see getReliefScale)
+  vec3 displace(vec3 basePosition, float elevationMeters) {
+    float exaggeration = uExaggeration * getReliefScale(getCoverageFade(basePosition));
+    #ifdef USE_BATHYMETRY
+    elevationMeters = getSurfaceElevation(elevationMeters);
+    #endif
+    float elevationKm = max(elevationMeters, getOceanFloor()) / 1000.0 * exaggeration;
+    return normalize(basePosition) * (uBaseRadius - elevationKm);
+  }
+
+  // Outward normal of the real (not inverted) terrain, so slopes are lit as
+  // they would be on Earth. Mesh normals are for the inverted surface at 1x:
+  // flip their slope and scale it by the exaggeration. Clamped ocean is flat.
+  vec3 getTerrainNormal(vec3 radial) {
+    float slopeScale = aHeight > getOceanFloor() ? uExaggeration * getReliefScale(getCoverageFade(radial)) : 0.0;
+    #ifdef USE_BATHYMETRY
+    slopeScale *= 1.0 - getFlooding(aHeight);
+    #endif
+    vec3 slope = normal / dot(normal, radial) - radial;
+    return normalize(radial - slope * slopeScale);
+  }
+
+  float getMorphFactor(vec3 worldPos) {
+    int columns = uSegments + 1;
+    int i = gl_VertexID % columns;
+    int j = gl_VertexID / columns;
+
+    // Edges shared with a coarser or finer neighbour are pinned to match it;
+    // a corner follows the more forced of its edges
+    float edgeMorph = -1.0;
+    if (j == 0) edgeMorph = max(edgeMorph, uEdgeMorph.x);
+    if (j == uSegments) edgeMorph = max(edgeMorph, uEdgeMorph.y);
+    if (i == 0) edgeMorph = max(edgeMorph, uEdgeMorph.z);
+    if (i == uSegments) edgeMorph = max(edgeMorph, uEdgeMorph.w);
+    if (edgeMorph >= 0.0) return edgeMorph;
+
+    // Tiles are smaller toward the poles (Web Mercator)
+    float cosLat = length(position.xz) / length(position);
+    float morphEnd = uMorphDistance * cosLat;
+
+    // Morph over the last quarter of the distance before merging
+    float dist = distance(worldPos, cameraPosition);
+    return clamp((dist / morphEnd - 0.75) * 4.0, 0.0, 1.0);
+  }
 
-  let skirtVertexOffset = vertexCount;
+  void main() {
+    vUv = uv;
 
-  for (const edge of edges) {
-    const edgeStart = vertices.length / 3;
+    vec3 fine = displace(position, aHeight);
+    vec3 coarse = mix(displace(aMorphStart, aMorphHeights.x), displace(aMorphEnd, aMorphHeights.y), aMorphWeight);
+    float morph = getMorphFactor((modelMatrix * vec4(fine, 1.0)).xyz);
 
-    for (const idx of edge) {
-      const v = getVertex(idx);
-      const extended = extendOutward(v);
+    vec4 worldPos = modelMatrix * vec4(mix(fine, coarse, morph), 1.0);
+    vWorldPosition = worldPos.xyz;
+    vNormal = normalize(mat3(modelMatrix) * getTerrainNormal(normalize(position)));
+
+    // Unclamped, so the ocean floor clamp doesn't flatten the depth shading
+    vElevation = mix(aHeight, mix(aMorphHeights.x, aMorphHeights.y, aMorphWeight), morph);
+    gl_Position = projectionMatrix * viewMatrix * worldPos;
+  }
+`;
+
+const TILE_FRAGMENT_SHADER = `
+  uniform sampler2D map;
+  uniform float uBaseRadius;
+  uniform float uExaggeration;
+  uniform float uOceanFloor;
+  uniform float uAmbient;
+  ${COVERAGE_SHADER_CHUNK}
+  ${nightLightsShaderChunk}
+  uniform sampler2D uGlobeMap;           // globe day texture, same layout as the night map
+  uniform float uGlobeBlend;             // 0 = no globe texture to fade into
+  #ifdef USE_NORMAL_MAP
+  uniform sampler2D normalMap;
+  #endif
+  #ifdef USE_ATMOSPHERE
+  ${atmosphereShaderChunk}
+  uniform sampler2D nightMap;            // global night lights (equirectangular)
+  #ifdef USE_CLOUDS
+  ${cloudsShaderChunk}
+  #endif
+  #ifdef USE_WATER
+  ${waterShaderChunk}
+  #endif
+  #endif
+  #ifdef USE_NIGHT_TILE
+  uniform sampler2D nightTileMap;
+  uniform vec4 uNightTileTransform;      // tile uv to night tile uv: offset xy, scale zw
+  #endif
+  #ifdef USE_BATHYMETRY
+  ${bathymetryShaderChunk}
+  #endif
+  ${OCEAN_FLOOR_SHADER_CHUNK}
+  uniform float uDetailStrength;
+  uniform float uDetailSeed;
+  uniform vec3 uDetailOrigin;            // tile corner on the detail grid (xy), cells across it (z)
+  uniform vec4 uQuadrants;               // quarters drawn (NW, NE, SW, SE), the rest by finer tiles
+  uniform float uDebugTint;              // 1 = tint by zoom level
+  uniform float uDebugBounds;            // 1 = outline the tile
+  uniform vec3 uDebugColor;              // this tile's zoom level color
+
+  varying vec2 vUv;
+  varying vec3 vWorldPosition;
+  varying vec3 vNormal;
+  varying float vElevation;
+
+  float hashDetail(vec2 cell) {
+    vec3 p = fract(vec3(cell.xyx) * 0.1031 + uDetailSeed * 0.1379);
+    p += dot(p, p.yzx + 33.33);
+    return fract((p.x + p.y) * p.z) * 2.0 - 1.0;
+  }
 
-      vertices.push(v.x, v.y, v.z);
-      uvs.push(0.5, 0.5);
+  float detailNoise(vec2 p) {
+    vec2 cell = floor(p);
+    vec2 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(
+      mix(hashDetail(mod(cell, ${DETAIL_TEXTURE_PERIOD}.0)), hashDetail(mod(cell + vec2(1.0, 0.0), ${DETAIL_TEXTURE_PERIOD}.0)), f.x),
+      mix(hashDetail(mod(cell + vec2(0.0, 1.0), ${DETAIL_TEXTURE_PERIOD}.0)), hashDetail(mod(cell + vec2(1.0), ${DETAIL_TEXTURE_PERIOD}.0)), f.x),
+      f.y
+    );
+  }
 
-      vertices.push(extended.x, extended.y, extended.z);
-      uvs.push(0.5, 0.5);
+  // Brightness variation for procedural detail: fractal noise over land,
+  // stronger on slopes, with octaves finer than a pixel faded out
+  float getTextureDetail() {
+    vec2 p = uDetailOrigin.xy + vec2(vUv.x, 1.0 - vUv.y) * uDetailOrigin.z;
+    float detail = 0.0;
+    float amplitude = 0.5;
+    for (int octave = 0; octave < 3; octave++) {
+      float cellsPerPixel = length(fwidth(p));
+      detail += detailNoise(p) * amplitude * (1.0 - smoothstep(0.25, 1.0, cellsPerPixel));
+      p *= 2.0;
+      amplitude *= 0.5;
     }
 
-    for (let i = 0; i < edge.length - 1; i++) {
-      const a = edgeStart + i * 2;
-      const b = edgeStart + i * 2 + 1;
-      const c = edgeStart + (i + 1) * 2;
-      const d = edgeStart + (i + 1) * 2 + 1;
+    float slope = 1.0 - max(dot(normalize(vNormal), normalize(vWorldPosition)), 0.0);
+    float land = smoothstep(0.0, 5.0, vElevation);
+    return detail * uDetailStrength * land * (0.5 + 4.0 * slope);
+  }
 
-      indices.push(skirtVertexOffset + a, skirtVertexOffset + b, skirtVertexOffset + c);
-      indices.push(skirtVertexOffset + c, skirtVertexOffset + b, skirtVertexOffset + d);
+  // Outward normal of the real terrain (see getTerrainNormal)
+  vec3 getShadingNormal(float coverageFade) {
+    #ifdef USE_NORMAL_MAP
+    #ifdef USE_BATHYMETRY
+    bool relief = vElevation > getOceanFloor() && getFlooding(vElevation) < 0.5;
+    #else
+    bool relief = vElevation > getOceanFloor();
+    #endif
+    if (relief) {
+      vec3 up = normalize(vWorldPosition);
+      vec3 north = normalize(vec3(0.0, 1.0, 0.0) - up * up.y);
+      vec3 east = cross(up, north);
+
+      // East/north components of the 1x normal; scale their slope
+      vec2 n = texture2D(normalMap, vUv).rg * 2.0 - 1.0;
+      float nUp = sqrt(max(1.0 - dot(n, n), 0.01));
+      float exaggeration = uExaggeration * getReliefScale(coverageFade);
+      return normalize(up + (n.x * east + n.y * north) * (exaggeration / nUp));
     }
+    #endif
+    return normalize(vNormal);
   }
 
-  return { vertices, uvs, indices };
-}
+  void main() {
+    // A stand-in for missing tiles draws only their quarters (v runs north)
+    vec2 quarter = step(0.5, vec2(vUv.x, 1.0 - vUv.y));
+    if (mix(mix(uQuadrants.x, uQuadrants.y, quarter.x), mix(uQuadrants.z, uQuadrants.w, quarter.x), quarter.y) < 0.5) discard;
+
+    // Fade into the globe's imagery across the blend band, so the tiles
+    // end where they look like it; the globe draws past them, wherever no
+    // terrain fragment marked the stencil
+    float coverageFade = getCoverageFade(vWorldPosition);
+    if (coverageFade >= 1.0) discard;
+    float globeFade = coverageFade * uGlobeBlend;
+
+    vec4 texColor = texture2D(map, vUv);
+    texColor.rgb = mix(texColor.rgb, texture2D(uGlobeMap, getNightMapUv(vWorldPosition)).rgb, globeFade);
+    vec3 finalColor = texColor.rgb;
+    if (uDetailStrength > 0.0) {
+      finalColor *= 1.0 + getTextureDetail() * (1.0 - globeFade);
+    }
+    #ifdef USE_BATHYMETRY
+    finalColor = applyBathymetry(finalColor, vElevation);
+    finalColor = applySeaLevel(finalColor, vElevation);
+    #endif
+    finalColor = mix(finalColor, uDebugColor, 0.5 * uDebugTint);
+    #ifdef USE_ATMOSPHERE
+    // Hillshading: lambert from the sun plus ambient
+    #ifdef USE_CLOUDS
+    float sunlight = getCloudLight(vWorldPosition);
+    #else
+    float sunlight = 1.0;
+    #endif
+    float diffuse = max(dot(getShadingNormal(coverageFade), uSunDirection), 0.0) * sunlight;
+    // A smooth globe is lit by the sun alone, without hillshading
+    float light = uAmbient + (1.0 - uAmbient) * diffuse;
+    finalColor *= mix(light, sunlight, globeFade * (1.0 - uGlobeRelief));
+
+    // Blend into city lights on the night side, as the globe does
+    #ifdef USE_NIGHT_TILE
+    vec3 nightColor = texture2D(nightTileMap, vUv * uNightTileTransform.zw + uNightTileTransform.xy).rgb;
+    #else
+    vec3 nightColor = texture2D(nightMap, getNightMapUv(vWorldPosition)).rgb;
+    #endif
+    #ifdef USE_BATHYMETRY
+    nightColor *= 1.0 - getFlooding(vElevation);
+    #endif
+    finalColor = mix(nightColor * 2.0, finalColor, getDayFactor(vWorldPosition));
+
+    #ifdef USE_WATER
+    #ifdef USE_BATHYMETRY
+    float water = max(getWaterMask(texColor.rgb, vElevation, uSeaLevel), getFlooding(vElevation));
+    #else
+    float water = getWaterMask(texColor.rgb, vElevation, 0.0);
+    #endif
+    finalColor = applyWater(finalColor, vWorldPosition, water, sunlight);
+    #endif
+
+    finalColor = applyAtmosphere(finalColor, vWorldPosition);
+    #endif
+
+    // Tile bounds, a couple of pixels wide
+    if (uDebugBounds > 0.0) {
+      vec2 edge = min(vUv, 1.0 - vUv) / max(fwidth(vUv), 1e-6);
+      finalColor = mix(finalColor, uDebugColor, 1.0 - smoothstep(1.0, 2.0, min(edge.x, edge.y)));
+    }
+    gl_FragColor = vec4(finalColor, texColor.a);
+  }
+`;
 
 /**
  * Convert lat/lon to tile coordinates
@@ -510,46 +2129,94 @@ function latLonToTile(lat, lon, zoom) {
 }
 
 /**
- * Fetch heightmap and satellite imagery for a tile
+ * Fetch heightmap and satellite imagery for a tile from the providers
  */
-async function fetchTile(tile) {
+async function fetchTile(tile, providers, signal) {
   const { x, y, z } = tile;
+  const { imagery, elevation } = providers;
 
-  const terrainUrl = `https://api.mapbox.com/v4/mapbox.terrain-rgb/${z}/${x}/${y}.pngraw?access_token=${MAPBOX_TOKEN}`;
-  const satelliteUrl = `https://api.mapbox.com/v4/mapbox.satellite/${z}/${x}/${y}@2x.jpg?access_token=${MAPBOX_TOKEN}`;
+  // Elevation stays an encoded Blob; it's decoded alongside mesh generation
+  const [terrainBlob, satelliteBlob] = await Promise.all([
+    elevation.fetchTile(z, x, y, signal),
+    imagery.fetchTile(z, x, y, signal),
+  ]);
 
-  try {
-    const [terrainImg, satelliteImg] = await Promise.all([
-      loadImage(terrainUrl),
-      loadImage(satelliteUrl),
-    ]);
-
-    return {
-      ...tile,
-      terrain: terrainImg,
-      satellite: satelliteImg,
-    };
-  } catch (error) {
-    console.warn(`Failed to load tile ${z}/${x}/${y}:`, error);
-    return { ...tile, terrain: null, satellite: null };
-  }
+  return {
+    ...tile,
+    terrain: terrainBlob,
+    satellite: await blobToImage(satelliteBlob),
+    encoding: elevation.encoding,
+    bytes: terrainBlob.size + satelliteBlob.size,
+  };
 }
 
+// In-flight source tile downloads shared by the synthesized tiles under them
+const sourceTileRequests = new Map();
+
 /**
- * Load an image and return it
+ * Fetch the data for a tile past the finest zoom a source has data for, from
+ * the ancestor tiles at the source zooms ({ imagery, elevation }): the
+ * elevation ancestor's heightmap (synthesized from in the mesh worker), and
+ * the part of the imagery ancestor it covers, scaled up to full size
  */
-function loadImage(url) {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
-    img.onload = () => resolve(img);
-    img.onerror = reject;
-    img.src = url;
-  });
+async function fetchDetailTile(tile, providers, sourceZooms, signal) {
+  const { imagery, elevation } = providers;
+  const elevationShift = Math.max(tile.z - sourceZooms.elevation, 0);
+  const imageryShift = Math.max(tile.z - sourceZooms.imagery, 0);
+  const source = getAncestorTile(tile, elevationShift);
+
+  // Not cancellable, as sibling tiles may be waiting on the same downloads
+  const [terrainBlob, satelliteBlob] = await Promise.all([
+    fetchSourceTile(elevation, source),
+    fetchSourceTile(imagery, getAncestorTile(tile, imageryShift)),
+  ]);
+  signal.throwIfAborted();
+
+  const image = await createImageBitmap(satelliteBlob);
+  const size = 2 ** imageryShift;
+  const width = image.width / size;
+  const height = image.height / size;
+  const satellite = await createImageBitmap(
+    image,
+    (tile.x % size) * width,
+    (tile.y % size) * height,
+    width,
+    height,
+    { resizeWidth: image.width, resizeHeight: image.height, resizeQuality: 'high', imageOrientation: 'flipY' }
+  );
+  image.close();
+
+  return {
+    ...tile,
+    terrain: terrainBlob,
+    satellite,
+    encoding: elevation.encoding,
+    // Its share of the source downloads, which its siblings are cut from too
+    bytes: Math.round(terrainBlob.size / 4 ** elevationShift + satelliteBlob.size / 4 ** imageryShift),
+    // Heights only need synthesizing past the elevation zoom
+    source: elevationShift > 0 ? source : null,
+  };
+}
+
+/**
+ * The tile some zoom levels coarser containing a tile
+ */
+function getAncestorTile(tile, shift) {
+  return { x: tile.x >> shift, y: tile.y >> shift, z: tile.z - shift };
+}
+
+function fetchSourceTile(provider, { x, y, z }) {
+  const key = `${provider.name}/${z}/${x}/${y}`;
+  let request = sourceTileRequests.get(key);
+  if (!request) {
+    request = provider.fetchTile(z, x, y).finally(() => sourceTileRequests.delete(key));
+    sourceTileRequests.set(key, request);
+  }
+  return request;
 }
 
 /**
- * Placeholder terrain when no Mapbox token available
+ * Placeholder terrain when there are no tile providers to load from
  */
 function createPlaceholderTerrain(location) {
   const { lat, lon } = location;
@@ -566,10 +2233,37 @@ function createPlaceholderTerrain(location) {
   const material = new THREE.MeshStandardMaterial({
     color: 0x8b7355,
     side: THREE.BackSide,
+    ...TERRAIN_STENCIL,
   });
 
   const mesh = new THREE.Mesh(geometry, material);
   mesh.name = 'terrain-placeholder';
 
-  return mesh;
+  const group = new THREE.Group();
+  group.name = 'terrain-quadtree';
+  group.add(mesh);
+
+  return {
+    group,
+    uniforms: null,
+    update() {},
+    getElevationAt() { return null; },
+    raycastTerrain() { return null; },
+    getElevationBelow() { return null; },
+    setExaggeration() {},
+    setOceanFloor() {},
+    setTerrainOffset() {},
+    setAmbient() {},
+    setGlobeMap() {},
+    addFocusRegion() { return null; },
+    removeFocusRegion() {},
+    setProceduralDetail() {},
+    setMemoryBudget() {},
+    getMemoryStats() { return { bytes: 0, budget: 0, tiles: 0, visible: 0, cached: 0 }; },
+    setDebugTint() {},
+    setDebugWireframe() {},
+    getStats() {
+      return { bytes: 0, budget: 0, tiles: 0, visible: 0, cached: 0, zooms: {}, triangles: 0, textureBytes: 0, pending: 0 };
+    },
+  };
 }
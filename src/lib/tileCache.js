@@ -0,0 +1,288 @@
+/**
+ * Persistent tile cache backed by IndexedDB
+ * Tiles are stored as blobs keyed by source/z/x/y and served cache-first,
+ * so reloads skip the network and work offline once tiles have been seen.
+ * The least recently used tiles are evicted when the cache exceeds its cap.
+ */
+
+const DB_NAME = 'invearth-tiles';
+const DB_VERSION = 2;
+const STORE_NAME = 'tiles';
+
+// Size cap in MB, overridable with VITE_TILE_CACHE_MB or configureTileCache()
+const DEFAULT_MAX_MB = Number(import.meta.env.VITE_TILE_CACHE_MB) || 500;
+
+let maxBytes = DEFAULT_MAX_MB * 1024 * 1024;
+let enabled = true;
+
+// Opened lazily on first use; resolves to null if IndexedDB is unavailable
+let dbPromise = null;
+
+// Running total of cached bytes (computed when the database is opened)
+let totalBytes = 0;
+
+// Eviction in progress, so concurrent writes don't start several passes
+let evictionPromise = null;
+
+/**
+ * Configure the tile cache
+ * @param {Object} options - { maxMegabytes, enabled }
+ */
+export function configureTileCache({ maxMegabytes, enabled: isEnabled } = {}) {
+  if (maxMegabytes !== undefined) {
+    maxBytes = maxMegabytes * 1024 * 1024;
+    evictIfNeeded();
+  }
+  if (isEnabled !== undefined) {
+    enabled = isEnabled;
+  }
+}
+
+/**
+ * Get a tile Blob from the cache, or fetch and store it on a miss
+ * @param {string} source - tile source name, e.g. 'mapbox.satellite'
+ * @param {number} z - zoom level
+ * @param {number} x - tile column
+ * @param {number} y - tile row
+ * @param {Function} fetchBlob - async () => Blob, called on a cache miss
+ */
+export async function getOrFetchTile(source, z, x, y, fetchBlob) {
+  const key = `${source}/${z}/${x}/${y}`;
+
+  const cached = await readTile(key);
+  if (cached) return cached;
+
+  const blob = await fetchBlob();
+
+  // Don't hold up the caller on the write
+  writeTile(key, blob);
+
+  return blob;
+}
+
+/**
+ * Get a cached tile Blob, or null (for results built from several tiles,
+ * which are only stored once complete; see putCachedTile)
+ */
+export function getCachedTile(source, z, x, y) {
+  return readTile(`${source}/${z}/${x}/${y}`);
+}
+
+/**
+ * Store a tile Blob in the cache
+ */
+export function putCachedTile(source, z, x, y, blob) {
+  return writeTile(`${source}/${z}/${x}/${y}`, blob);
+}
+
+/**
+ * Fetch a tile URL as a Blob, serving it from the cache when possible
+ * HTTP errors carry the response status as error.status.
+ * @param {AbortSignal} signal - optional, aborts the network request
+ */
+export function fetchCachedTile(source, z, x, y, url, signal) {
+  return getOrFetchTile(source, z, x, y, async () => {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status} for tile ${source}/${z}/${x}/${y}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.blob();
+  });
+}
+
+/**
+ * Remove every cached tile
+ */
+export async function clearTileCache() {
+  const db = await openDatabase();
+  if (!db) return;
+
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  tx.objectStore(STORE_NAME).clear();
+  await transactionDone(tx);
+  totalBytes = 0;
+}
+
+/**
+ * Get cache usage, e.g. for display while tuning
+ */
+export async function getTileCacheStats() {
+  const db = await openDatabase();
+  if (!db) return { tiles: 0, bytes: 0, maxBytes };
+
+  const tx = db.transaction(STORE_NAME, 'readonly');
+  const tiles = await promisifyRequest(tx.objectStore(STORE_NAME).count());
+  return { tiles, bytes: totalBytes, maxBytes };
+}
+
+/**
+ * Open (or create) the cache database and total up its size
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const store = event.oldVersion < 1
+        ? request.result.createObjectStore(STORE_NAME, { keyPath: 'key' })
+        : request.transaction.objectStore(STORE_NAME);
+      if (event.oldVersion < 1) store.createIndex('lastAccess', 'lastAccess');
+      // Version 2: sizes can be totalled without reading the blobs
+      if (event.oldVersion < 2) store.createIndex('size', 'size');
+    };
+
+    request.onsuccess = async () => {
+      const db = request.result;
+      try {
+        totalBytes = await sumStoredBytes(db);
+        resolve(db);
+      } catch (error) {
+        console.warn('Tile cache unavailable:', error);
+        resolve(null);
+      }
+    };
+
+    request.onerror = () => {
+      console.warn('Tile cache unavailable:', request.error);
+      resolve(null);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Read a cached tile and mark it as recently used
+ */
+async function readTile(key) {
+  if (!enabled) return null;
+
+  try {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    const record = await promisifyRequest(store.get(key));
+    if (!record) return null;
+
+    record.lastAccess = Date.now();
+    store.put(record);
+    await transactionDone(tx);
+
+    return record.blob;
+  } catch (error) {
+    console.warn(`Tile cache read failed for ${key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Store a tile, then evict old tiles if over the size cap
+ */
+async function writeTile(key, blob) {
+  if (!enabled || blob.size > maxBytes) return;
+
+  try {
+    const db = await openDatabase();
+    if (!db) return;
+
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    const previous = await promisifyRequest(store.get(key));
+    store.put({ key, blob, size: blob.size, lastAccess: Date.now() });
+    await transactionDone(tx);
+
+    totalBytes += blob.size - (previous ? previous.size : 0);
+    await evictIfNeeded();
+  } catch (error) {
+    console.warn(`Tile cache write failed for ${key}:`, error);
+  }
+}
+
+/**
+ * Delete least recently used tiles until the cache fits under its cap
+ */
+function evictIfNeeded() {
+  if (evictionPromise || totalBytes <= maxBytes) return evictionPromise;
+
+  evictionPromise = (async () => {
+    const db = await openDatabase();
+    if (!db) return;
+
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const index = tx.objectStore(STORE_NAME).index('lastAccess');
+    let evicted = 0;
+
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || totalBytes <= maxBytes) {
+          resolve();
+          return;
+        }
+        totalBytes -= cursor.value.size;
+        evicted++;
+        cursor.delete();
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    await transactionDone(tx);
+
+    console.debug(`Tile cache: evicted ${evicted} tiles, ${(totalBytes / 1048576).toFixed(1)} MB in use`);
+  })()
+    .catch(error => console.warn('Tile cache eviction failed:', error))
+    .finally(() => {
+      evictionPromise = null;
+    });
+
+  return evictionPromise;
+}
+
+/**
+ * Sum the sizes of all stored tiles, walking the keys of the size index so
+ * no record (or blob) is loaded
+ */
+function sumStoredBytes(db) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, 'readonly');
+    const request = tx.objectStore(STORE_NAME).index('size').openKeyCursor();
+    let sum = 0;
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(sum);
+        return;
+      }
+      sum += cursor.key;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
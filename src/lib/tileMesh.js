@@ -0,0 +1,490 @@
+import { getElevationDecoder } from './elevation.js';
+
+/**
+ * Terrain tile decoding and mesh generation
+ * Pure functions with no DOM or THREE dependency, so they can run in
+ * tileWorker.js as well as on the main thread. Results are typed arrays
+ * ready to be transferred and uploaded to a BufferGeometry.
+ *
+ * Tile vertices sit on one global grid, so a vertex shared by neighbouring
+ * tiles (of any zoom levels) always gets the same position.
+ * Heights are displaced in the vertex shader, which also geomorphs each odd
+ * vertex toward the midpoint of its even neighbours - the coarser grid of
+ * the parent tile - as the tile nears its merge distance.
+ *
+ * Nothing here depends on the exaggeration, ocean floor or terrain offset,
+ * so those can change without rebuilding tiles. Normals are for 1x
+ * exaggeration and unclamped heights; the shader scales their slope.
+ */
+
+// Depth of the global vertex grid (deeper than any tile we draw)
+const GRID_ZOOM = 24;
+
+// For ground distances in normal maps
+const EARTH_RADIUS_METERS = 6371000;
+
+// Synthesized detail: amplitude of each noise octave as a fraction of its
+// wavelength, on flat ground and added per unit of slope
+const DETAIL_ROUGHNESS_FLAT = 0.03;
+const DETAIL_ROUGHNESS_SLOPE = 0.12;
+
+// Detail fades in over this height above sea level (m), keeping water flat
+const DETAIL_COAST_HEIGHT = 5;
+
+/**
+ * Decode an elevation tile image into heights in meters
+ * @param {Blob} blob - encoded elevation tile (PNG)
+ * @param {string} encoding - elevation encoding (see elevation.js)
+ * @returns {Promise<Object>} { heights: Float32Array, width, height }
+ */
+export async function decodeHeightmap(blob, encoding) {
+  const decodeElevation = getElevationDecoder(encoding);
+
+  // Skip color conversion so the packed RGB values survive intact
+  const bitmap = await createImageBitmap(blob, {
+    colorSpaceConversion: 'none',
+    premultiplyAlpha: 'none',
+  });
+  const { width, height } = bitmap;
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const pixels = ctx.getImageData(0, 0, width, height).data;
+  const heights = new Float32Array(width * height);
+  for (let i = 0; i < heights.length; i++) {
+    heights[i] = decodeElevation(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]);
+  }
+
+  return { heights, width, height };
+}
+
+/**
+ * Bilinearly sample a heightmap at tile-relative (u, v), 0..1 from the north-west corner
+ */
+export function sampleHeightmap(heightmap, u, v) {
+  const { heights, width, height } = heightmap;
+
+  // Pixel centres sit half a pixel in from the tile edge
+  const fx = Math.min(Math.max(u * width - 0.5, 0), width - 1);
+  const fy = Math.min(Math.max(v * height - 0.5, 0), height - 1);
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const tx = fx - x0;
+  const ty = fy - y0;
+
+  const top = heights[y0 * width + x0] * (1 - tx) + heights[y0 * width + x1] * tx;
+  const bottom = heights[y1 * width + x0] * (1 - tx) + heights[y1 * width + x1] * tx;
+  return top * (1 - ty) + bottom * ty;
+}
+
+/**
+ * Heightmap for a tile past the finest zoom there is data for: the heightmap
+ * of its source (ancestor) tile resampled over the tile, plus seeded fractal
+ * noise for the detail the data doesn't have. The noise is a function of
+ * global position, so neighbouring tiles agree. It is stronger on slopes and
+ * left out over water.
+ * @param {Object} source - { x, y, z } of the ancestor tile
+ * @param {Object} heightmap - source tile heights from decodeHeightmap
+ * @param {Object} tile - { x, y, z } tile to synthesize
+ * @param {number} seed - integer noise seed
+ * @param {number} segments - grid segments per side of the mesh it's for
+ * @returns {Object} { heights: Float32Array, width, height } at the source resolution
+ */
+export function synthesizeHeightmap(source, heightmap, tile, seed, segments) {
+  const { width, height } = heightmap;
+  const heights = new Float32Array(width * height);
+  const n = 2 ** tile.z;
+  const sourceN = 2 ** source.z;
+
+  // Octaves from the source tile's vertex spacing down to twice this
+  // tile's, the finest its mesh shows without aliasing into jitter
+  const vertexLevels = Math.log2(segments);
+  const firstLevel = source.z + vertexLevels;
+  const lastLevel = tile.z + vertexLevels - 1;
+
+  for (let row = 0; row < height; row++) {
+    const mercY = (tile.y + (row + 0.5) / height) / n;
+    const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * mercY)));
+    // Ground meters across the whole Mercator square at this latitude
+    const worldMeters = 2 * Math.PI * EARTH_RADIUS_METERS * Math.cos(lat);
+    const sourcePixelMeters = worldMeters / (sourceN * width);
+    const v = mercY * sourceN - source.y;
+
+    for (let col = 0; col < width; col++) {
+      const mercX = (tile.x + (col + 0.5) / width) / n;
+      const u = mercX * sourceN - source.x;
+      const base = sampleHeightmap(heightmap, u, v);
+
+      const land = smoothstep(0, DETAIL_COAST_HEIGHT, base);
+      if (land === 0) {
+        heights[row * width + col] = base;
+        continue;
+      }
+
+      // Slope of the source data, one source pixel either side
+      const dEast = (sampleHeightmap(heightmap, u + 1 / width, v) - sampleHeightmap(heightmap, u - 1 / width, v)) / (2 * sourcePixelMeters);
+      const dNorth = (sampleHeightmap(heightmap, u, v - 1 / height) - sampleHeightmap(heightmap, u, v + 1 / height)) / (2 * sourcePixelMeters);
+      const slope = Math.min(Math.hypot(dEast, dNorth), 1);
+      const roughness = DETAIL_ROUGHNESS_FLAT + DETAIL_ROUGHNESS_SLOPE * slope;
+
+      let detail = 0;
+      for (let level = firstLevel; level <= lastLevel; level++) {
+        const cells = 2 ** level;
+        detail += valueNoise(mercX * cells, mercY * cells, cells, seed + level) * (worldMeters / cells);
+      }
+
+      heights[row * width + col] = base + detail * roughness * land;
+    }
+  }
+
+  return { heights, width, height };
+}
+
+/**
+ * Global grid key of a tile vertex; equal keys mean the same point on the sphere
+ */
+export function getGridVertexKey(tile, segments, i, j) {
+  const { gx, gy } = getGridCoordinates(tile, segments, i, j);
+  return `${gx},${gy}`;
+}
+
+/**
+ * Build spherical tile geometry - vertices on the INSIDE of the sphere
+ * Positions are undisplaced (on the sea-level sphere); heights, morph
+ * targets and their heights are separate attributes for the vertex shader.
+ * @param {Object} params
+ * @param {Object} params.tile - { x, y, z } tile coordinates
+ * @param {number} params.segments - grid segments per side (even)
+ * @param {Object} params.heightmap - { heights, width, height } from decodeHeightmap
+ * @param {number} params.baseRadius - sea level radius (km)
+ * @returns {Object} typed arrays: positions, normals, uvs, indices, heights,
+ *   morphStart, morphEnd, morphHeights, morphWeights, morphIndices
+ */
+export function buildTileMeshData({ tile, segments, heightmap, baseRadius }) {
+  const columns = segments + 1;
+  const vertexCount = columns * columns;
+  const indexCount = segments * segments * 6;
+
+  const positions = new Float32Array(vertexCount * 3);
+  const uvs = new Float32Array(vertexCount * 2);
+  const heights = new Float32Array(vertexCount);
+  const indices = vertexCount > 65535 ? new Uint32Array(indexCount) : new Uint16Array(indexCount);
+
+  // Generate vertices on sphere surface
+  for (let j = 0; j <= segments; j++) {
+    for (let i = 0; i <= segments; i++) {
+      const vertex = j * columns + i;
+      const u = i / segments;
+      const v = j / segments;
+
+      setGridVertexPosition(positions, vertex * 3, tile, segments, i, j, baseRadius);
+      heights[vertex] = sampleHeightmap(heightmap, u, v);
+
+      uvs[vertex * 2] = u;
+      uvs[vertex * 2 + 1] = 1 - v;
+    }
+  }
+
+  // Generate indices (each quad split along its b-c diagonal)
+  let index = 0;
+  for (let j = 0; j < segments; j++) {
+    for (let i = 0; i < segments; i++) {
+      const a = j * columns + i;
+      const b = a + 1;
+      const c = a + columns;
+      const d = c + 1;
+
+      indices[index++] = a; indices[index++] = c; indices[index++] = b;
+      indices[index++] = b; indices[index++] = c; indices[index++] = d;
+    }
+  }
+
+  // Morph targets: each vertex's position on the parent's (half resolution) grid
+  const morphIndices = new Uint32Array(vertexCount * 2);
+  for (let j = 0; j <= segments; j++) {
+    for (let i = 0; i <= segments; i++) {
+      const vertex = j * columns + i;
+      const oddI = i % 2 === 1;
+      const oddJ = j % 2 === 1;
+
+      let a = vertex;
+      let b = vertex;
+      if (oddI && oddJ) {
+        // Centre of a coarse cell lies on its b-c diagonal
+        a = (j - 1) * columns + (i + 1);
+        b = (j + 1) * columns + (i - 1);
+      } else if (oddI) {
+        a = vertex - 1;
+        b = vertex + 1;
+      } else if (oddJ) {
+        a = vertex - columns;
+        b = vertex + columns;
+      }
+
+      morphIndices[vertex * 2] = a;
+      morphIndices[vertex * 2 + 1] = b;
+    }
+  }
+
+  const morphStart = new Float32Array(vertexCount * 3);
+  const morphEnd = new Float32Array(vertexCount * 3);
+  for (let vertex = 0; vertex < vertexCount; vertex++) {
+    const a = morphIndices[vertex * 2];
+    const b = morphIndices[vertex * 2 + 1];
+    morphStart.set(positions.subarray(a * 3, a * 3 + 3), vertex * 3);
+    morphEnd.set(positions.subarray(b * 3, b * 3 + 3), vertex * 3);
+  }
+
+  const morphHeights = new Float32Array(vertexCount * 2);
+  updateMorphHeights(heights, morphIndices, morphHeights);
+
+  // Where between its targets each vertex morphs to: the midpoint, until an
+  // edge is pinned to the longer segments of a much coarser neighbour
+  const morphWeights = new Float32Array(vertexCount).fill(0.5);
+
+  const normals = computeNormals(positions, heights, indices, baseRadius);
+
+  return { positions, normals, uvs, indices, heights, morphStart, morphEnd, morphHeights, morphWeights, morphIndices };
+}
+
+/**
+ * Build a normal map from a heightmap at its full resolution, for shading
+ * detail finer than the mesh grid. Each texel holds the east and north
+ * components of the unit surface normal at 1x exaggeration, as bytes
+ * (0..255 for -1..1); rows run south to north, like texture coordinates.
+ * @param {Object} tile - { x, y, z } tile coordinates
+ * @param {Object} heightmap - { heights, width, height } from decodeHeightmap
+ * @param {Object} neighbours - { north, south, west, east } heightmaps of the
+ *   same-zoom tiles around it, where known (see updateNormalMapEdge)
+ * @returns {Object} { data: Uint8Array (RG), width, height }
+ */
+export function buildNormalMap(tile, heightmap, neighbours = {}) {
+  const { width, height } = heightmap;
+  const data = new Uint8Array(width * height * 2);
+
+  for (let row = 0; row < height; row++) {
+    const pixelMeters = getPixelMeters(tile, row, height, width);
+    for (let col = 0; col < width; col++) {
+      writeNormalTexel(data, heightmap, neighbours, row, col, pixelMeters);
+    }
+  }
+
+  return { data, width, height };
+}
+
+/**
+ * Recompute the texels along one side of a normal map (0 to 3: north,
+ * south, west, east) once the heightmap across it is known, so the slopes
+ * there are central differences as everywhere else
+ * @param {Object} normalMap - from buildNormalMap, updated in place
+ * @param {Object} neighbours - as for buildNormalMap
+ */
+export function updateNormalMapEdge(normalMap, tile, heightmap, neighbours, side) {
+  const { width, height } = heightmap;
+  const count = side < 2 ? width : height;
+  for (let k = 0; k < count; k++) {
+    const row = side === 0 ? 0 : side === 1 ? height - 1 : k;
+    const col = side === 2 ? 0 : side === 3 ? width - 1 : k;
+    writeNormalTexel(normalMap.data, heightmap, neighbours, row, col, getPixelMeters(tile, row, height, width));
+  }
+}
+
+/**
+ * Ground size (m) of a heightmap pixel in a row; Web Mercator is conformal,
+ * so a pixel is square on the ground
+ */
+function getPixelMeters(tile, row, height, width) {
+  const n = Math.pow(2, tile.z);
+  const mercY = (tile.y + (row + 0.5) / height) / n;
+  const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * mercY)));
+  return (2 * Math.PI * EARTH_RADIUS_METERS * Math.cos(lat)) / (n * width);
+}
+
+/**
+ * Normal of one heightmap pixel, by central differences; one-sided at the
+ * border where the heightmap across it isn't known
+ */
+function writeNormalTexel(data, heightmap, neighbours, row, col, pixelMeters) {
+  const { width, height } = heightmap;
+  const centre = heightmap.heights[row * width + col];
+  const west = getPixelHeight(heightmap, neighbours, row, col - 1);
+  const east = getPixelHeight(heightmap, neighbours, row, col + 1);
+  const north = getPixelHeight(heightmap, neighbours, row - 1, col);
+  const south = getPixelHeight(heightmap, neighbours, row + 1, col);
+
+  const eastSpan = (west === undefined ? 0 : 1) + (east === undefined ? 0 : 1);
+  const northSpan = (north === undefined ? 0 : 1) + (south === undefined ? 0 : 1);
+  const dEast = ((east ?? centre) - (west ?? centre)) / (eastSpan * pixelMeters);
+  const dNorth = ((north ?? centre) - (south ?? centre)) / (northSpan * pixelMeters);
+
+  const length = Math.sqrt(dEast * dEast + dNorth * dNorth + 1);
+  const texel = ((height - 1 - row) * width + col) * 2;
+  data[texel] = Math.round((-dEast / length * 0.5 + 0.5) * 255);
+  data[texel + 1] = Math.round((-dNorth / length * 0.5 + 0.5) * 255);
+}
+
+/**
+ * Height of a heightmap pixel, or of the same-size neighbour's pixel just
+ * past the border; undefined where there's none (or past a corner)
+ */
+function getPixelHeight(heightmap, neighbours, row, col) {
+  const { heights, width, height } = heightmap;
+  const rowInside = row >= 0 && row < height;
+  const colInside = col >= 0 && col < width;
+  if (rowInside && colInside) return heights[row * width + col];
+
+  let neighbour = null;
+  if (colInside) {
+    neighbour = row < 0 ? neighbours.north : neighbours.south;
+    row = row < 0 ? height - 1 : 0;
+  } else if (rowInside) {
+    neighbour = col < 0 ? neighbours.west : neighbours.east;
+    col = col < 0 ? width - 1 : 0;
+  }
+  if (!neighbour || neighbour.width !== width || neighbour.height !== height) return undefined;
+  return neighbour.heights[row * width + col];
+}
+
+/**
+ * Copy each vertex's morph target heights from the vertex heights
+ * Call again after changing heights (e.g. matching a neighbour's edge).
+ */
+export function updateMorphHeights(heights, morphIndices, morphHeights) {
+  for (let vertex = 0; vertex < heights.length; vertex++) {
+    morphHeights[vertex * 2] = heights[morphIndices[vertex * 2]];
+    morphHeights[vertex * 2 + 1] = heights[morphIndices[vertex * 2 + 1]];
+  }
+}
+
+/**
+ * Write the sea-level position of a tile grid vertex into an array
+ * The indices may lie past the tile, for points on a neighbour's grid.
+ */
+export function setGridVertexPosition(array, offset, tile, segments, i, j, radius) {
+  const { lat, lon } = getGridVertexLatLon(tile, segments, i, j);
+
+  // Convert lat/lon to spherical coordinates
+  const phi = (90 - lat) * (Math.PI / 180);
+  const theta = -lon * Math.PI / 180;
+
+  // Spherical to Cartesian (THREE.js convention)
+  array[offset] = radius * Math.sin(phi) * Math.sin(theta);
+  array[offset + 1] = radius * Math.cos(phi);
+  array[offset + 2] = radius * Math.sin(phi) * Math.cos(theta);
+}
+
+/**
+ * Integer coordinates of a tile vertex on the global grid
+ * Columns wrap at the antimeridian so both sides share keys.
+ */
+function getGridCoordinates(tile, segments, i, j) {
+  const scale = 2 ** (GRID_ZOOM - tile.z);
+  const gridSize = 2 ** GRID_ZOOM * segments;
+  const gx = ((((tile.x * segments + i) * scale) % gridSize) + gridSize) % gridSize;
+  const gy = (tile.y * segments + j) * scale;
+  return { gx, gy };
+}
+
+/**
+ * Lat/lon of a tile vertex, computed from its global grid coordinates
+ * (Web Mercator, so vertices line up with the tile imagery)
+ */
+function getGridVertexLatLon(tile, segments, i, j) {
+  const { gx, gy } = getGridCoordinates(tile, segments, i, j);
+  const gridSize = 2 ** GRID_ZOOM * segments;
+
+  const lon = (gx / gridSize) * 360 - 180;
+  const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * gy / gridSize))) * 180 / Math.PI;
+  return { lat, lon };
+}
+
+/**
+ * Smooth value noise in -1..1 on a lattice of integer points, wrapping
+ * columns every `columns` cells (the antimeridian)
+ */
+function valueNoise(x, y, columns, seed) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  const sx = fx * fx * (3 - 2 * fx);
+  const sy = fy * fy * (3 - 2 * fy);
+
+  const x0 = ix % columns;
+  const x1 = (ix + 1) % columns;
+  const top = hashLattice(x0, iy, seed) * (1 - sx) + hashLattice(x1, iy, seed) * sx;
+  const bottom = hashLattice(x0, iy + 1, seed) * (1 - sx) + hashLattice(x1, iy + 1, seed) * sx;
+  return top * (1 - sy) + bottom * sy;
+}
+
+/**
+ * Deterministic pseudo-random value in -1..1 for a lattice point
+ */
+function hashLattice(ix, iy, seed) {
+  let h = Math.imul(ix, 0x27d4eb2d) ^ Math.imul(iy, 0x165667b1) ^ Math.imul(seed, 0x9e3779b1);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  h ^= h >>> 16;
+  return (h >>> 0) / 0xffffffff * 2 - 1;
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Area-weighted vertex normals of the surface displaced at 1x
+ * (same result as BufferGeometry.computeVertexNormals)
+ */
+function computeNormals(positions, heights, indices, baseRadius) {
+  const displaced = new Float32Array(positions.length);
+  for (let vertex = 0; vertex < heights.length; vertex++) {
+    // INVERTED WORLD: Subtract elevation to bring higher terrain closer to center
+    const elevationKm = heights[vertex] / 1000;
+    const scale = (baseRadius - elevationKm) / baseRadius;
+    displaced[vertex * 3] = positions[vertex * 3] * scale;
+    displaced[vertex * 3 + 1] = positions[vertex * 3 + 1] * scale;
+    displaced[vertex * 3 + 2] = positions[vertex * 3 + 2] * scale;
+  }
+
+  const normals = new Float32Array(positions.length);
+
+  for (let i = 0; i < indices.length; i += 3) {
+    const a = indices[i] * 3;
+    const b = indices[i + 1] * 3;
+    const c = indices[i + 2] * 3;
+
+    // Face normal (c - b) x (a - b), as three.js does
+    const cbx = displaced[c] - displaced[b];
+    const cby = displaced[c + 1] - displaced[b + 1];
+    const cbz = displaced[c + 2] - displaced[b + 2];
+    const abx = displaced[a] - displaced[b];
+    const aby = displaced[a + 1] - displaced[b + 1];
+    const abz = displaced[a + 2] - displaced[b + 2];
+
+    const nx = cby * abz - cbz * aby;
+    const ny = cbz * abx - cbx * abz;
+    const nz = cbx * aby - cby * abx;
+
+    for (const v of [a, b, c]) {
+      normals[v] += nx;
+      normals[v + 1] += ny;
+      normals[v + 2] += nz;
+    }
+  }
+
+  for (let i = 0; i < normals.length; i += 3) {
+    const len = Math.sqrt(normals[i] ** 2 + normals[i + 1] ** 2 + normals[i + 2] ** 2) || 1;
+    normals[i] /= len;
+    normals[i + 1] /= len;
+    normals[i + 2] /= len;
+  }
+
+  return normals;
+}
@@ -0,0 +1,752 @@
+import { fetchCachedTile, getOrFetchTile } from './tileCache.js';
+import { ELEVATION_DECODERS } from './elevation.js';
+
+/**
+ * Tile source providers for imagery and elevation
+ *
+ * A provider is a plain object:
+ *   - name: unique source name, also used as the tile cache prefix
+ *   - minZoom, maxZoom: zoom range the source has tiles for
+ *   - encoding: elevation encoding (see elevation.js); required for
+ *     elevation providers, null for imagery
+ *   - fetchTile(z, x, y, signal): resolves to the tile as a Blob; the
+ *     optional AbortSignal cancels the download, and HTTP errors carry the
+ *     response status as error.status
+ *
+ * Tiles are Web Mercator XYZ (y down from the north).
+ *
+ * Equirectangular providers (createEquirectangularProvider) serve tiles cut
+ * from one image of the whole globe, and also have:
+ *   - fetchImage(signal): resolves to that image as a Blob, rows from the
+ *     north, so the globe can use it as is
+ *
+ * Polar providers fill the globe past the Web Mercator limit (~85°):
+ *   - name: unique source name
+ *   - fetchCap(south, north, width, height, signal): resolves to
+ *     { blob, south, north }, an equirectangular image spanning all
+ *     longitudes from at least south to north latitude
+ */
+
+// Mapbox API configuration
+const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN || '';
+
+// Public Terrarium tiles hosted on AWS (Mapzen/Tilezen, open data)
+const TERRARIUM_URL = 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png';
+
+// NASA Black Marble night lights from GIBS (WMTS, rows before columns)
+const BLACK_MARBLE_URL = 'https://gibs.earthdata.nasa.gov/wmts/epsg3857/best/VIIRS_Black_Marble/default/{date}/GoogleMapsCompatible_Level8/{z}/{y}/{x}.png';
+
+// NASA GIBS map server in plate carrée (EPSG:4326), for any lat/lon box
+const GIBS_WMS_URL = 'https://gibs.earthdata.nasa.gov/wms/epsg4326/best/wms.cgi';
+
+// NASA Blue Marble Next Generation monthly mosaics (2004, with topography
+// and bathymetry), named as on NASA Visible Earth; {month} is 01 to 12
+const BLUE_MARBLE_URL = `${import.meta.env.BASE_URL}textures/bluemarble/world.topo.bathy.2004{month}.3x5400x2700.jpg`;
+
+// Month used without a date (July, the usual single Blue Marble)
+const BLUE_MARBLE_DEFAULT_MONTH = 7;
+
+// Downscaled Blue Marble shipped in public/textures, used while the monthly
+// mosaics haven't been downloaded
+const BLUE_MARBLE_FALLBACK_URL = `${import.meta.env.BASE_URL}textures/earth_bluemarble.jpg`;
+
+// Tiles cut from an equirectangular image are drawn in horizontal bands,
+// each stretched linearly; Mercator is close enough to linear over a band
+const EQUIRECT_TILE_BANDS = 16;
+const EQUIRECT_TILE_QUALITY = 0.92;
+
+/**
+ * Default providers: Mapbox satellite imagery and terrain-RGB, or the
+ * bundled Blue Marble without a token (see createBlueMarbleProviders)
+ * @param {Object} options - { date } picks the Blue Marble month
+ * @returns {Object} { imagery, elevation, globeImagery, globeElevation,
+ *   nightImagery, polarImagery }
+ */
+export function createDefaultProviders({ date = null } = {}) {
+  if (!MAPBOX_TOKEN) return createBlueMarbleProviders({ date });
+
+  return {
+    imagery: createMapboxSatelliteProvider(MAPBOX_TOKEN, { retina: true }),
+    elevation: createMapboxTerrainProvider(MAPBOX_TOKEN),
+    // The globe texture only needs 256px tiles
+    globeImagery: createMapboxSatelliteProvider(MAPBOX_TOKEN),
+    // Terrain-RGB oceans are flat; Terrarium has global bathymetry
+    globeElevation: createTerrariumProvider(),
+    nightImagery: createBlackMarbleProvider(),
+    // Mapbox tiles stop short of the poles
+    polarImagery: createGibsPolarProvider(),
+  };
+}
+
+/**
+ * Token-free providers: NASA Blue Marble imagery from public/textures, with
+ * Terrarium elevation and Black Marble night lights (neither needs a key)
+ * Offline, the terrain is flat and the night lights come from the bundled
+ * global map, so the bundled imagery still shows.
+ * @param {Object} options - { date, url } (see createBlueMarbleProvider)
+ */
+export function createBlueMarbleProviders(options = {}) {
+  const imagery = createBlueMarbleProvider(options);
+  const elevation = createTerrariumProvider();
+
+  return {
+    imagery,
+    elevation: withFlatOfflineTiles(elevation),
+    globeImagery: imagery,
+    // Not flattened, so a flat globe elevation map isn't cached
+    globeElevation: elevation,
+    nightImagery: createBlackMarbleProvider(),
+    // Blue Marble covers the poles already
+    polarImagery: null,
+  };
+}
+
+/**
+ * Mapbox satellite imagery
+ */
+export function createMapboxSatelliteProvider(token, { retina = false } = {}) {
+  const suffix = retina ? '@2x' : '';
+  return createXYZProvider({
+    name: `mapbox.satellite${suffix}`,
+    url: `https://api.mapbox.com/v4/mapbox.satellite/{z}/{x}/{y}${suffix}.jpg?access_token=${token}`,
+    maxZoom: 19,
+  });
+}
+
+/**
+ * Mapbox terrain-RGB elevation
+ */
+export function createMapboxTerrainProvider(token) {
+  return createXYZProvider({
+    name: 'mapbox.terrain-rgb',
+    url: `https://api.mapbox.com/v4/mapbox.terrain-rgb/{z}/{x}/{y}.pngraw?access_token=${token}`,
+    encoding: 'mapbox',
+    maxZoom: 15,
+  });
+}
+
+/**
+ * Mapzen/AWS Terrarium elevation (no API key needed)
+ */
+export function createTerrariumProvider({ url = TERRARIUM_URL, maxZoom = 15 } = {}) {
+  return createXYZProvider({
+    name: 'terrarium',
+    url,
+    encoding: 'terrarium',
+    maxZoom,
+  });
+}
+
+/**
+ * NASA Black Marble (VIIRS) night lights imagery (no API key needed)
+ * @param {Object} options - { date } of the composite, e.g. '2016-01-01'
+ */
+export function createBlackMarbleProvider({ date = '2016-01-01' } = {}) {
+  return createXYZProvider({
+    name: `nasa.black-marble.${date}`,
+    url: BLACK_MARBLE_URL.replace('{date}', date),
+    maxZoom: 8,
+  });
+}
+
+/**
+ * Polar caps from NASA GIBS (no API key needed), Blue Marble by default
+ * @param {Object} options - { layer } any GIBS EPSG:4326 layer name
+ */
+export function createGibsPolarProvider({ layer = 'BlueMarble_NextGeneration' } = {}) {
+  return {
+    name: `nasa.gibs.${layer}`,
+
+    fetchCap(south, north, width, height, signal) {
+      // WMS 1.3.0 orders EPSG:4326 boxes latitude first
+      const params = new URLSearchParams({
+        SERVICE: 'WMS',
+        REQUEST: 'GetMap',
+        VERSION: '1.3.0',
+        LAYERS: layer,
+        STYLES: '',
+        CRS: 'EPSG:4326',
+        BBOX: `${south},-180,${north},180`,
+        WIDTH: width,
+        HEIGHT: height,
+        FORMAT: 'image/jpeg',
+      });
+      return fetchBlob(`${GIBS_WMS_URL}?${params}`, signal).then(blob => ({ blob, south, north }));
+    },
+  };
+}
+
+/**
+ * Polar caps from one equirectangular image of the whole globe, e.g. a
+ * Blue Marble bundled in public/textures
+ * @param {Object} options - { name, url }
+ */
+export function createEquirectangularPolarProvider({ name, url }) {
+  // Both caps come from the same image
+  let imagePromise = null;
+
+  return {
+    name: name || url,
+
+    fetchCap(south, north, width, height, signal) {
+      if (!imagePromise) {
+        imagePromise = fetchBlob(url, signal).catch((error) => {
+          imagePromise = null;
+          throw error;
+        });
+      }
+      return imagePromise.then(blob => ({ blob, south: -90, north: 90 }));
+    },
+  };
+}
+
+/**
+ * NASA Blue Marble from public/textures, one of twelve monthly mosaics so
+ * snow cover and vegetation match the season
+ * @param {Object} options - { date } any Date or date string, only its month
+ *   is used (July without one); { url } with {month} for 01 to 12, or a
+ *   single image without it; { fallbackUrl } used while url is missing
+ *   (the bundled downscaled Blue Marble by default)
+ */
+export function createBlueMarbleProvider({
+  date = null,
+  url = BLUE_MARBLE_URL,
+  fallbackUrl = BLUE_MARBLE_FALLBACK_URL,
+} = {}) {
+  const month = date ? new Date(date).getUTCMonth() + 1 : BLUE_MARBLE_DEFAULT_MONTH;
+  if (!(month >= 1 && month <= 12)) {
+    throw new Error(`Invalid Blue Marble date: ${date}`);
+  }
+  const monthName = String(month).padStart(2, '0');
+
+  return createEquirectangularProvider({
+    name: url.includes('{month}') ? `nasa.blue-marble.${monthName}` : `nasa.blue-marble:${url}`,
+    url: url.replace('{month}', monthName),
+    fallbackUrl,
+  });
+}
+
+/**
+ * Imagery tiles cut from one equirectangular image of the whole globe
+ * The image is loaded once, when `ready` is first awaited (or a tile is
+ * fetched). Unless a maxZoom is given, it's the first zoom whose tiles are
+ * as sharp as the image, known once `ready` resolves; the terrain scales
+ * up (or synthesizes) finer tiles itself. If the image can't be loaded
+ * and there's a fallbackUrl, that image is used instead.
+ * @param {Object} options - { name, url, fallbackUrl, maxZoom, tileSize }
+ */
+export function createEquirectangularProvider({ name, url, fallbackUrl = null, maxZoom = null, tileSize = 256 }) {
+  let imagePromise = null;
+  let bitmapPromise = null;
+
+  function fetchImage(signal) {
+    if (!imagePromise) {
+      imagePromise = fetchImageBlob(url, signal).catch((error) => {
+        if (!fallbackUrl || error.name === 'AbortError') throw error;
+        console.warn(`Missing ${url}, using ${fallbackUrl} instead:`, error.message);
+        return fetchImageBlob(fallbackUrl, signal);
+      }).catch((error) => {
+        imagePromise = null;
+        throw error;
+      });
+    }
+    return imagePromise;
+  }
+
+  // Decoded once and shared by every tile
+  function getBitmap() {
+    if (!bitmapPromise) {
+      bitmapPromise = fetchImage().then(blob => createImageBitmap(blob)).then((bitmap) => {
+        provider.maxZoom = maxZoom ?? Math.max(Math.ceil(Math.log2(bitmap.width / tileSize)), 0);
+        return bitmap;
+      }).catch((error) => {
+        bitmapPromise = null;
+        throw error;
+      });
+    }
+    return bitmapPromise;
+  }
+
+  const provider = {
+    name: name || `equirect:${url}`,
+    minZoom: 0,
+    maxZoom,
+
+    // Only loads the image once asked for
+    get ready() {
+      return getBitmap().then(() => provider);
+    },
+
+    fetchImage,
+
+    async fetchTile(z, x, y) {
+      return renderEquirectangularTile(await getBitmap(), z, x, y, tileSize);
+    },
+  };
+
+  return provider;
+}
+
+/**
+ * Generic XYZ URL template provider, e.g. 'https://host/{z}/{x}/{y}.png'
+ * @param {Object} options - { name, url, encoding, minZoom, maxZoom, cache }
+ */
+export function createXYZProvider({
+  name,
+  url,
+  encoding = null,
+  minZoom = 0,
+  maxZoom = 22,
+  cache = true,
+}) {
+  checkEncoding(encoding);
+
+  const sourceName = name || url;
+  const tileUrl = (z, x, y) => url
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', y);
+
+  return {
+    name: sourceName,
+    encoding,
+    minZoom,
+    maxZoom,
+
+    fetchTile(z, x, y, signal) {
+      if (cache) {
+        return fetchCachedTile(sourceName, z, x, y, tileUrl(z, x, y), signal);
+      }
+      return fetchBlob(tileUrl(z, x, y), signal);
+    },
+  };
+}
+
+/**
+ * Local folder of z/x/y files, e.g. served from public/tiles
+ * Local files skip the tile cache by default.
+ * @param {Object} options - { name, baseUrl, extension, encoding, minZoom, maxZoom, cache }
+ */
+export function createLocalProvider({
+  name,
+  baseUrl,
+  extension = 'png',
+  encoding = null,
+  minZoom = 0,
+  maxZoom = 22,
+  cache = false,
+}) {
+  const root = baseUrl.replace(/\/$/, '');
+  return createXYZProvider({
+    name: name || `local:${root}`,
+    url: `${root}/{z}/{x}/{y}.${extension}`,
+    encoding,
+    minZoom,
+    maxZoom,
+    cache,
+  });
+}
+
+/**
+ * Single-file PMTiles (v3) archive, read with HTTP range requests
+ * MBTiles is SQLite and can't be read without a database engine; convert
+ * it with `pmtiles convert input.mbtiles output.pmtiles` first.
+ * @param {Object} options - { name, url, encoding, cache }
+ */
+export function createPMTilesProvider({ name, url, encoding = null, cache = true }) {
+  checkEncoding(encoding);
+
+  const archive = openPMTiles(url);
+
+  const provider = {
+    name: name || `pmtiles:${url}`,
+    encoding,
+    // Updated from the archive header once it has loaded
+    minZoom: 0,
+    maxZoom: 22,
+    ready: archive.then(({ header }) => {
+      provider.minZoom = header.minZoom;
+      provider.maxZoom = header.maxZoom;
+      return provider;
+    }),
+
+    fetchTile(z, x, y, signal) {
+      const load = () => readPMTilesTile(archive, z, x, y, signal);
+      if (cache) {
+        return getOrFetchTile(provider.name, z, x, y, load);
+      }
+      return load();
+    },
+  };
+
+  return provider;
+}
+
+/**
+ * Decode a tile Blob into an Image element
+ */
+export function blobToImage(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      // The same bytes won't decode on a retry
+      const error = new Error(`Failed to decode ${blob.type || 'image'} (${blob.size} bytes)`);
+      error.permanent = true;
+      reject(error);
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Fetch a tile from a provider and decode it into an Image
+ */
+export async function loadTileImage(provider, z, x, y, signal) {
+  const blob = await provider.fetchTile(z, x, y, signal);
+  return blobToImage(blob);
+}
+
+/**
+ * Throw unless a provider can serve elevation: it needs a known encoding,
+ * as imagery tiles would decode into nonsense heights
+ */
+export function checkElevationProvider(provider) {
+  if (!provider.encoding) {
+    throw new Error(`Elevation provider ${provider.name} has no encoding; pass one of: ${Object.keys(ELEVATION_DECODERS).join(', ')}`);
+  }
+  checkEncoding(provider.encoding);
+}
+
+function checkEncoding(encoding) {
+  if (encoding && !ELEVATION_DECODERS[encoding]) {
+    throw new Error(`Unknown elevation encoding: ${encoding}`);
+  }
+}
+
+/**
+ * Draw a Web Mercator tile from an equirectangular image, as a JPEG Blob
+ */
+function renderEquirectangularTile(image, z, x, y, size) {
+  const canvas = createCanvas(size, size);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+
+  const n = Math.pow(2, z);
+  const sourceX = (x / n) * image.width;
+  const sourceWidth = image.width / n;
+  const sourceRow = (row) => {
+    const mercY = (y + row / size) / n;
+    const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * mercY)));
+    return (0.5 - lat / Math.PI) * image.height;
+  };
+
+  const bandHeight = size / EQUIRECT_TILE_BANDS;
+  for (let band = 0; band < EQUIRECT_TILE_BANDS; band++) {
+    const top = sourceRow(band * bandHeight);
+    const bottom = sourceRow((band + 1) * bandHeight);
+    ctx.drawImage(image, sourceX, top, sourceWidth, bottom - top, 0, band * bandHeight, size, bandHeight);
+  }
+
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type: 'image/jpeg', quality: EQUIRECT_TILE_QUALITY });
+  }
+  return new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', EQUIRECT_TILE_QUALITY));
+}
+
+/**
+ * Wrap a Terrarium provider to serve flat sea level tiles when the network
+ * is unreachable; HTTP errors still fail the tile
+ */
+function withFlatOfflineTiles(provider) {
+  let flatTile = null;
+  let warned = false;
+
+  return {
+    ...provider,
+
+    async fetchTile(z, x, y, signal) {
+      try {
+        return await provider.fetchTile(z, x, y, signal);
+      } catch (error) {
+        // fetch rejects with a TypeError when offline
+        if (!(error instanceof TypeError)) throw error;
+        if (!warned) {
+          console.warn(`Can't reach ${provider.name}, using flat elevation:`, error.message);
+          warned = true;
+        }
+        flatTile ??= renderFlatTerrariumTile();
+        return flatTile;
+      }
+    },
+  };
+}
+
+/**
+ * A 256px Terrarium tile at 0 m, as a PNG Blob
+ */
+function renderFlatTerrariumTile() {
+  const canvas = createCanvas(256, 256);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = 'rgb(128, 0, 0)';
+  ctx.fillRect(0, 0, 256, 256);
+
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type: 'image/png' });
+  }
+  return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+}
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+async function fetchBlob(url, signal) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw httpError(response, url);
+  }
+  return response.blob();
+}
+
+// The dev server answers a missing file with index.html, so check the type
+async function fetchImageBlob(url, signal) {
+  const blob = await fetchBlob(url, signal);
+  if (!blob.type.startsWith('image/')) {
+    throw new Error(`Not an image (${blob.type || 'no type'}): ${url}`);
+  }
+  return blob;
+}
+
+function httpError(response, url) {
+  const error = new Error(`HTTP ${response.status} for ${url}`);
+  error.status = response.status;
+  return error;
+}
+
+// ---------------------------------------------------------------------------
+// PMTiles v3 reader
+// https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md
+// ---------------------------------------------------------------------------
+
+const PMTILES_HEADER_SIZE = 127;
+
+// The spec guarantees header + root directory fit in the first 16 KiB
+const PMTILES_INITIAL_FETCH = 16384;
+
+const PMTILES_COMPRESSION = { 1: null, 2: 'gzip' };
+
+const PMTILES_MIME_TYPES = {
+  2: 'image/png',
+  3: 'image/jpeg',
+  4: 'image/webp',
+  5: 'image/avif',
+};
+
+/**
+ * Read the header and root directory of an archive
+ */
+async function openPMTiles(url) {
+  const buffer = await fetchRange(url, 0, PMTILES_INITIAL_FETCH);
+  const header = parsePMTilesHeader(buffer);
+
+  const rootBytes = buffer.slice(header.rootOffset, header.rootOffset + header.rootLength);
+  const root = await parsePMTilesDirectory(rootBytes, header.internalCompression);
+
+  // Leaf directories are fetched on demand and kept
+  const leafCache = new Map();
+
+  return { url, header, root, leafCache };
+}
+
+function parsePMTilesHeader(buffer) {
+  if (buffer.byteLength < PMTILES_HEADER_SIZE) {
+    throw new Error('PMTiles header truncated');
+  }
+  const view = new DataView(buffer);
+  const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 7));
+  if (magic !== 'PMTiles') {
+    throw new Error('Not a PMTiles archive');
+  }
+  if (view.getUint8(7) !== 3) {
+    throw new Error(`Unsupported PMTiles version ${view.getUint8(7)}`);
+  }
+
+  const u64 = (offset) => view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32;
+
+  return {
+    rootOffset: u64(8),
+    rootLength: u64(16),
+    leafOffset: u64(40),
+    tileDataOffset: u64(56),
+    internalCompression: view.getUint8(97),
+    tileCompression: view.getUint8(98),
+    tileType: view.getUint8(99),
+    minZoom: view.getUint8(100),
+    maxZoom: view.getUint8(101),
+  };
+}
+
+async function parsePMTilesDirectory(bytes, compression) {
+  const data = new Uint8Array(await decompress(bytes, compression));
+  let pos = 0;
+
+  const readVarint = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = data[pos++];
+      result += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return result;
+  };
+
+  const count = readVarint();
+  const entries = Array.from({ length: count }, () => ({ tileId: 0, offset: 0, length: 0, runLength: 0 }));
+
+  let lastId = 0;
+  for (const entry of entries) {
+    lastId += readVarint();
+    entry.tileId = lastId;
+  }
+  for (const entry of entries) entry.runLength = readVarint();
+  for (const entry of entries) entry.length = readVarint();
+  for (let i = 0; i < count; i++) {
+    const value = readVarint();
+    // Zero means "immediately after the previous entry"
+    entries[i].offset = value === 0 && i > 0
+      ? entries[i - 1].offset + entries[i - 1].length
+      : value - 1;
+  }
+
+  return entries;
+}
+
+/**
+ * Find and fetch a tile, descending into leaf directories as needed
+ * Only the tile data request is aborted by the signal; leaf directories are
+ * shared between tiles.
+ */
+async function readPMTilesTile(archivePromise, z, x, y, signal) {
+  const archive = await archivePromise;
+  const { url, header, leafCache } = archive;
+  const tileId = zxyToTileId(z, x, y);
+
+  let directory = archive.root;
+  // Spec allows at most three levels of leaf directories
+  for (let depth = 0; depth < 4; depth++) {
+    const entry = findPMTilesEntry(directory, tileId);
+    if (!entry) break;
+
+    if (entry.runLength > 0) {
+      const start = header.tileDataOffset + entry.offset;
+      const bytes = await fetchRange(url, start, entry.length, signal);
+      const data = await decompress(bytes, header.tileCompression);
+      return new Blob([data], { type: PMTILES_MIME_TYPES[header.tileType] || '' });
+    }
+
+    // Leaf directory pointer
+    const leafStart = header.leafOffset + entry.offset;
+    let leaf = leafCache.get(leafStart);
+    if (!leaf) {
+      leaf = fetchRange(url, leafStart, entry.length)
+        .then(bytes => parsePMTilesDirectory(bytes, header.internalCompression));
+      leafCache.set(leafStart, leaf);
+    }
+    directory = await leaf;
+  }
+
+  const error = new Error(`Tile ${z}/${x}/${y} not in archive`);
+  error.status = 404;
+  throw error;
+}
+
+/**
+ * Binary search for the entry covering a tile id
+ */
+function findPMTilesEntry(entries, tileId) {
+  let lo = 0;
+  let hi = entries.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const cmp = tileId - entries[mid].tileId;
+    if (cmp > 0) lo = mid + 1;
+    else if (cmp < 0) hi = mid - 1;
+    else return entries[mid];
+  }
+
+  // Closest entry before the tile: a run of tiles or a leaf directory
+  if (hi >= 0) {
+    const entry = entries[hi];
+    if (entry.runLength === 0) return entry;
+    if (tileId - entry.tileId < entry.runLength) return entry;
+  }
+  return null;
+}
+
+/**
+ * Hilbert curve tile id: tiles of all lower zooms come first
+ */
+function zxyToTileId(z, x, y) {
+  const base = (4 ** z - 1) / 3;
+  const xy = [x, y];
+  let d = 0;
+
+  for (let s = 2 ** (z - 1); s >= 1; s /= 2) {
+    const rx = (xy[0] & s) > 0 ? 1 : 0;
+    const ry = (xy[1] & s) > 0 ? 1 : 0;
+    d += s * s * ((3 * rx) ^ ry);
+
+    // Rotate the quadrant
+    if (ry === 0) {
+      if (rx === 1) {
+        xy[0] = s - 1 - xy[0];
+        xy[1] = s - 1 - xy[1];
+      }
+      [xy[0], xy[1]] = [xy[1], xy[0]];
+    }
+  }
+
+  return base + d;
+}
+
+async function fetchRange(url, start, length, signal) {
+  const response = await fetch(url, {
+    headers: { Range: `bytes=${start}-${start + length - 1}` },
+    signal,
+  });
+  if (!response.ok) {
+    throw httpError(response, url);
+  }
+  const buffer = await response.arrayBuffer();
+
+  // Server ignored the range and sent the whole file
+  if (response.status === 200 && buffer.byteLength > length) {
+    return buffer.slice(start, start + length);
+  }
+  return buffer;
+}
+
+async function decompress(buffer, compression) {
+  if (!(compression in PMTILES_COMPRESSION)) {
+    throw new Error(`Unsupported PMTiles compression type ${compression}`);
+  }
+  const format = PMTILES_COMPRESSION[compression];
+  if (!format) return buffer;
+
+  const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream(format));
+  return new Response(stream).arrayBuffer();
+}
@@ -0,0 +1,33 @@
+import { decodeHeightmap, buildTileMeshData, buildNormalMap, synthesizeHeightmap } from './tileMesh.js';
+
+/**
+ * Web Worker: decodes elevation tiles and builds tile geometry off the main thread
+ * Message in:  { id, blob, encoding, mesh: buildTileMeshData params minus heightmap, normalMap,
+ *   detail: { source, seed } when the blob is an ancestor's (see synthesizeHeightmap) }
+ * Message out: { id, result } with typed arrays transferred, or { id, error }
+ *   (result is the buildTileMeshData output plus the decoded heightmap,
+ *   and a normal map if one was asked for)
+ */
+
+self.onmessage = async (event) => {
+  const { id, blob, encoding, mesh, normalMap, detail } = event.data;
+
+  try {
+    let heightmap = await decodeHeightmap(blob, encoding);
+    if (detail) {
+      heightmap = synthesizeHeightmap(detail.source, heightmap, mesh.tile, detail.seed, mesh.segments);
+    }
+    const result = buildTileMeshData({ ...mesh, heightmap });
+    const transfer = [...Object.values(result).map(array => array.buffer), heightmap.heights.buffer];
+
+    result.heightmap = heightmap;
+    if (normalMap) {
+      result.normalMap = buildNormalMap(mesh.tile, heightmap);
+      transfer.push(result.normalMap.data.buffer);
+    }
+
+    self.postMessage({ id, result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
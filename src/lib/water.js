@@ -0,0 +1,287 @@
+import * as THREE from 'three';
+
+/**
+ * Ocean water: animated waves, sun glint and reflections
+ * Water is found from the imagery (dark and blue) and, where there's an
+ * elevation, from being below sea level. In the inverted world the sea
+ * reflects the inside of the sphere, so oceans mirror the continents on the
+ * far side. How the reflection is found depends on the quality:
+ *   - low: the globe's day and night maps where the reflected ray lands
+ *   - medium, high: a cube map of the whole scene rendered from the centre,
+ *     refreshed every so often (terrain, clouds and all), a face per frame
+ *   - off: water drawn as plain texture
+ */
+
+export const WATER_QUALITIES = ['off', 'low', 'medium', 'high'];
+
+// Reflection pass per quality: cube face size (px) and seconds between
+// refreshes. A refresh draws one face per frame into a second cube, which
+// the water switches to once all six are done.
+const REFLECTION_PASSES = {
+  medium: { size: 256, interval: 1 },
+  high: { size: 512, interval: 0.25 },
+};
+
+// Shader chunk (after atmosphereShaderChunk; fragment shaders only): call
+// applyWater(color, worldPos, water, sunlight) on the lit surface colour,
+// with the water mask from getWaterMask(imageryColor, elevation, seaLevel)
+// or getImageryWater(imageryColor)
+export const waterShaderChunk = `
+  uniform float uWater;                   // 0 = water drawn as plain texture
+  uniform float uWaterTime;               // s
+  uniform float uWaveSlope;               // slope of each wave octave
+  uniform float uGlintStrength;
+  uniform float uGlintShininess;
+  uniform float uReflectionStrength;
+  uniform float uReflectionPass;          // 1 = reflect the cube pass, 0 = the globe maps
+  uniform samplerCube uReflectionCube;
+  uniform sampler2D uReflectionMap;       // globe day texture (equirectangular)
+  uniform sampler2D uReflectionNightMap;
+
+  // Open water in a satellite colour (linear): dark, and bluer than red
+  float getImageryWater(vec3 color) {
+    float brightness = dot(color, vec3(0.299, 0.587, 0.114));
+    return smoothstep(0.005, 0.03, color.b - color.r) * (1.0 - smoothstep(0.2, 0.45, brightness));
+  }
+
+  // Water where the imagery looks like it and the ground is at or below
+  // the sea level (m). Sources without bathymetry (Mapbox terrain-RGB) have
+  // oceans flat at 0 m, which stay water under a lowered sea.
+  float getWaterMask(vec3 color, float elevation, float seaLevel) {
+    float below = 1.0 - smoothstep(seaLevel, seaLevel + 2.0, elevation);
+    float flatOcean = 1.0 - smoothstep(0.0, 0.5, abs(elevation));
+    return getImageryWater(color) * max(below, flatOcean);
+  }
+
+  // Outward normal of the wavy surface: a few octaves of travelling waves,
+  // faded out where they're finer than a pixel
+  vec3 getWaveNormal(vec3 worldPos) {
+    const vec3 directions[4] = vec3[4](
+      vec3(0.784, 0.294, 0.490),
+      vec3(-0.398, 0.696, 0.597),
+      vec3(0.198, -0.594, 0.792),
+      vec3(-0.700, -0.200, -0.700)
+    );
+
+    vec3 up = normalize(worldPos);
+    vec3 slope = vec3(0.0);
+    float wavelength = 4.0;   // km
+    for (int i = 0; i < 4; i++) {
+      float k = 6.28318530718 / wavelength;
+      // Deep water waves: longer ones travel faster (g in km/s^2)
+      float phase = dot(worldPos, directions[i]) * k - sqrt(0.00981 * k) * uWaterTime;
+      float fade = 1.0 - smoothstep(0.5, 1.0, fwidth(phase) / 3.14159265359);
+      slope += directions[i] * (cos(phase) * uWaveSlope * fade);
+      wavelength *= 0.45;
+    }
+    return normalize(up - (slope - up * dot(slope, up)));
+  }
+
+  // Night map layout (see nightLights.js), without a seam where u wraps
+  vec2 getReflectionUv(vec3 direction) {
+    float u = 0.5 - atan(direction.x, direction.z) / 6.28318530718;
+    float v = 0.5 + asin(clamp(direction.y, -1.0, 1.0)) / 3.14159265359;
+    float uShifted = fract(u + 0.5) - 0.5;
+    return vec2(fwidth(u) <= fwidth(uShifted) ? u : uShifted, v);
+  }
+
+  // What a ray from the water sees: where it lands on the far side of the globe
+  vec3 getWaterReflection(vec3 worldPos, vec3 direction) {
+    float b = dot(worldPos, direction);
+    float c = dot(worldPos, worldPos) - uGlobeRadius * uGlobeRadius;
+    vec3 hit = worldPos + direction * (-b + sqrt(max(b * b - c, 0.0)));
+
+    if (uReflectionPass > 0.5) {
+      return textureCube(uReflectionCube, normalize(hit)).rgb;
+    }
+    vec2 uv = getReflectionUv(normalize(hit));
+    vec3 day = texture2D(uReflectionMap, uv, 1.0).rgb;
+    vec3 night = texture2D(uReflectionNightMap, uv, 1.0).rgb * 2.0;
+    return mix(night, day, getDayFactor(hit));
+  }
+
+  // Reflect the far side of the world, more at grazing angles, and glint
+  // in the sun; sunlight is the direct sun reaching the water (0 to 1)
+  vec3 applyWater(vec3 color, vec3 worldPos, float water, float sunlight) {
+    vec3 up = normalize(worldPos);
+    vec3 normal = getWaveNormal(worldPos);
+    vec3 viewDir = normalize(uCameraPosition - worldPos);
+
+    // Sunlight is in the real (outward) frame, as the ground is lit; mirror
+    // the view, which looks outward from the void, into it
+    vec3 mirroredView = viewDir - 2.0 * dot(viewDir, up) * up;
+    float cosView = max(dot(mirroredView, normal), 0.0);
+    float fresnel = 0.02 + 0.98 * pow(1.0 - cosView, 5.0);
+
+    vec3 reflection = getWaterReflection(worldPos, reflect(-viewDir, normal));
+    vec3 shaded = mix(color, reflection, fresnel * uReflectionStrength);
+
+    // Sun glint, gone below the horizon
+    vec3 halfVector = normalize(uSunDirection + mirroredView);
+    float glint = pow(max(dot(normal, halfVector), 0.0), uGlintShininess) * uGlintStrength;
+    glint *= sunlight * smoothstep(0.0, 0.1, dot(up, uSunDirection));
+    shaded += glint * vec3(1.0, 0.95, 0.85);
+
+    return mix(color, shaded, water * uWater);
+  }
+`;
+
+/**
+ * Create the water controller
+ * @param {Object} atmosphereUniforms - atmosphere uniforms (see atmosphere.js);
+ *   the reflection pass looks from the centre, so it moves the camera uniform
+ * @param {Object} options - { quality (see WATER_QUALITIES), glint, reflection (0-1) }
+ * @returns {Object} controller with the uniforms the globe and terrain share
+ */
+export function createWater(atmosphereUniforms, {
+  quality = 'medium',
+  glint = 2,
+  reflection = 1,
+} = {}) {
+  const uniforms = {
+    uWater: { value: 0 },
+    uWaterTime: { value: 0 },
+    uWaveSlope: { value: 0.08 },
+    uGlintStrength: { value: glint },
+    uGlintShininess: { value: 200 },
+    uReflectionStrength: { value: reflection },
+    uReflectionPass: { value: 0 },
+    uReflectionCube: { value: null },
+    uReflectionMap: { value: null },
+    uReflectionNightMap: { value: null },
+  };
+
+  const centre = new THREE.Vector3();
+  const cameraPosition = new THREE.Vector3();
+
+  let currentQuality = null;
+  let cubeCamera = null;
+  // The cube the water samples, and the one the next refresh draws into
+  let frontTarget = null;
+  let backTarget = null;
+  // Next face to draw, or null between refreshes
+  let nextFace = null;
+  let sinceReflection = Infinity;
+
+  function createReflectionTarget(size) {
+    return new THREE.WebGLCubeRenderTarget(size, {
+      generateMipmaps: true,
+      minFilter: THREE.LinearMipmapLinearFilter,
+      // Terrain tiles mask the globe with the stencil buffer
+      stencilBuffer: true,
+    });
+  }
+
+  function setQuality(value) {
+    if (!WATER_QUALITIES.includes(value)) {
+      throw new Error(`Unknown water quality: ${value}`);
+    }
+    currentQuality = value;
+    uniforms.uWater.value = value === 'off' ? 0 : 1;
+
+    // Reflection pass, if this quality has one
+    const pass = REFLECTION_PASSES[value];
+    if (cubeCamera && frontTarget.width !== pass?.size) {
+      frontTarget.dispose();
+      backTarget.dispose();
+      cubeCamera = frontTarget = backTarget = null;
+    }
+    if (pass && !cubeCamera) {
+      frontTarget = createReflectionTarget(pass.size);
+      backTarget = createReflectionTarget(pass.size);
+      cubeCamera = new THREE.CubeCamera(1, 20000, backTarget);
+    }
+    uniforms.uReflectionCube.value = null;
+    uniforms.uReflectionPass.value = 0;
+    nextFace = null;
+    sinceReflection = Infinity;
+  }
+
+  /**
+   * Render one face of the back reflection cube: the scene from the centre
+   */
+  function renderReflectionFace(renderer, scene, face) {
+    // The water falls back to the globe maps for this pass (the reflection
+    // of a reflection); the atmosphere is seen from the centre
+    const reflectionPass = uniforms.uReflectionPass.value;
+    uniforms.uReflectionPass.value = 0;
+    cameraPosition.copy(atmosphereUniforms.uCameraPosition.value);
+    atmosphereUniforms.uCameraPosition.value.copy(centre);
+
+    cubeCamera.position.copy(centre);
+    cubeCamera.updateMatrixWorld();
+    if (cubeCamera.coordinateSystem !== renderer.coordinateSystem) {
+      cubeCamera.coordinateSystem = renderer.coordinateSystem;
+      cubeCamera.updateCoordinateSystem();
+    }
+
+    // As CubeCamera.update, a face at a time; mipmaps once the last is drawn
+    const renderTarget = renderer.getRenderTarget();
+    const activeCubeFace = renderer.getActiveCubeFace();
+    const activeMipmapLevel = renderer.getActiveMipmapLevel();
+    backTarget.texture.generateMipmaps = face === 5;
+    renderer.setRenderTarget(backTarget, face);
+    renderer.render(scene, cubeCamera.children[face]);
+    renderer.setRenderTarget(renderTarget, activeCubeFace, activeMipmapLevel);
+
+    atmosphereUniforms.uCameraPosition.value.copy(cameraPosition);
+    uniforms.uReflectionPass.value = reflectionPass;
+  }
+
+  /**
+   * Show the water the cube the last refresh drew
+   */
+  function swapReflectionTargets() {
+    [frontTarget, backTarget] = [backTarget, frontTarget];
+    cubeCamera.renderTarget = backTarget;
+    uniforms.uReflectionCube.value = frontTarget.texture;
+    uniforms.uReflectionPass.value = 1;
+  }
+
+  setQuality(quality);
+
+  return {
+    uniforms,
+
+    get quality() {
+      return currentQuality;
+    },
+
+    setQuality,
+
+    // Globe maps for the low quality reflections (and the reflection pass's own)
+    setEnvironment(dayTexture, nightTexture) {
+      uniforms.uReflectionMap.value = dayTexture;
+      uniforms.uReflectionNightMap.value = nightTexture;
+    },
+
+    setGlint(strength) {
+      uniforms.uGlintStrength.value = strength;
+    },
+
+    setReflection(strength) {
+      uniforms.uReflectionStrength.value = strength;
+    },
+
+    // Call each frame before rendering; animates the waves and draws the
+    // next face of the reflection pass when one is due
+    update(renderer, scene, deltaTime) {
+      uniforms.uWaterTime.value += deltaTime;
+
+      const pass = REFLECTION_PASSES[currentQuality];
+      if (!pass) return;
+      sinceReflection += deltaTime;
+      if (nextFace === null) {
+        if (sinceReflection < pass.interval) return;
+        sinceReflection = 0;
+        nextFace = 0;
+      }
+
+      renderReflectionFace(renderer, scene, nextFace);
+      if (++nextFace === 6) {
+        nextFace = null;
+        swapReflectionTargets();
+      }
+    },
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Fixed-size pool of Web Workers
+ * Jobs are queued and handed to the next idle worker. Workers answer with
+ * { id, result } or { id, error }, matching the id of the job they were given.
+ */
+
+/**
+ * @param {Function} createWorker - () => Worker
+ * @param {number} size - number of workers
+ */
+export function createWorkerPool(createWorker, size) {
+  const workers = [];
+  const idle = [];
+  const queue = [];
+  const jobs = new Map();
+  let nextId = 0;
+
+  for (let i = 0; i < size; i++) {
+    const worker = createWorker();
+    worker.onmessage = (event) => finishJob(worker, event.data);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finishJob(worker, { id: worker.currentJob, error: event.message || 'Worker error' });
+    };
+    workers.push(worker);
+    idle.push(worker);
+  }
+
+  function finishJob(worker, { id, result, error }) {
+    const job = jobs.get(id);
+    jobs.delete(id);
+    worker.currentJob = null;
+
+    if (job) {
+      if (error) job.reject(new Error(error));
+      else job.resolve(result);
+    }
+
+    idle.push(worker);
+    dispatch();
+  }
+
+  function dispatch() {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const { id, message, transfer } = queue.shift();
+      worker.currentJob = id;
+      worker.postMessage({ ...message, id }, transfer);
+    }
+  }
+
+  return {
+    /**
+     * Queue a job; resolves with the worker's result
+     * @param {Object} message - data posted to the worker
+     * @param {Array} transfer - transferable objects in the message
+     */
+    run(message, transfer = []) {
+      return new Promise((resolve, reject) => {
+        const id = nextId++;
+        jobs.set(id, { resolve, reject });
+        queue.push({ id, message, transfer });
+        dispatch();
+      });
+    },
+
+    get size() {
+      return size;
+    },
+
+    // Jobs queued or running
+    get pending() {
+      return jobs.size;
+    },
+
+    dispose() {
+      for (const job of jobs.values()) {
+        job.reject(new Error('Worker pool disposed'));
+      }
+      jobs.clear();
+      queue.length = 0;
+      for (const worker of workers) worker.terminate();
+    },
+  };
+}
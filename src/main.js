@@ -1,10 +1,15 @@
 import * as THREE from 'three';
-import { createGlobe } from './lib/globe.js';
+import { createGlobe, addGlobeDisplacement, createGlobeChunks } from './lib/globe.js';
 import { createTerrain } from './lib/terrain.js';
 import { setupControls } from './lib/controls.js';
 import { createAtmosphere } from './lib/atmosphere.js';
+import { createBathymetry, SEA_LEVELS } from './lib/bathymetry.js';
+import { createClouds } from './lib/clouds.js';
+import { createWater, WATER_QUALITIES } from './lib/water.js';
 import { createCameraAnimation, KEYFRAMES, applyKeyframe, getTotalDuration } from './lib/cameraAnimation.js';
 import { createRecorder } from './lib/recorder.js';
+import { createStatsOverlay } from './lib/statsOverlay.js';
+import { createDefaultProviders } from './lib/tileProviders.js';
 
 // Configuration
 const CONFIG = {
@@ -15,6 +20,63 @@ const CONFIG = {
   },
   earthRadius: 6371, // km, 1 unit = 1 km
   // LOD terrain system handles radius automatically
+
+  // Season of the Blue Marble imagery used without a Mapbox token: any date,
+  // only its month counts, e.g. '2004-01-15' for snowy northern winters
+  // (null = July)
+  date: null,
+
+  // Imagery and elevation tile sources; null for the defaults (Mapbox, or
+  // without a token NASA Blue Marble from public/textures/bluemarble for
+  // the date above, else the bundled one in public/textures). Swap in any
+  // provider from tileProviders.js, e.g.
+  //   elevation: createTerrariumProvider(),
+  //   imagery: createLocalProvider({ baseUrl: '/tiles/satellite', extension: 'jpg' }),
+  //   imagery: createXYZProvider({ name: 'esri', url: 'https://.../{z}/{y}/{x}' }),
+  //   elevation: createPMTilesProvider({ url: '/tiles/dem.pmtiles', encoding: 'terrarium' }),
+  tileProviders: null,
+
+  // Start with oceans shaded by depth (toggle with B)
+  bathymetry: false,
+
+  // Sea level relative to today's (m); L cycles ice age / today / ice free
+  seaLevel: SEA_LEVELS.today,
+  seaLevelChangeSeconds: 5,
+
+  // Cloud layer (toggle with C): altitude in km, drift in degrees per second
+  clouds: {
+    enabled: true,
+    opacity: 0.8,
+    altitude: 15,
+    driftSpeed: 0.2,
+    // Equirectangular cloud map, e.g. `${import.meta.env.BASE_URL}textures/earth_clouds.jpg`;
+    // procedural cloud cover without one
+    map: null,
+  },
+
+  // Ocean waves, sun glint and reflections of the far side (O cycles):
+  // 'off', 'low' (globe maps only), 'medium' or 'high' (reflection pass)
+  waterQuality: 'medium',
+
+  // Globe texture width (px), reprojected once and cached
+  globeTextureWidth: 4096,
+
+  // Raise the globe's relief from its elevation map, matching the terrain
+  globeDisplacement: true,
+
+  // Draw the globe from imagery tiles, sharper wherever the camera looks
+  globeChunks: true,
+
+  // GPU memory for terrain tiles (MB); off-screen tiles are cached up to this
+  terrainMemoryMB: 512,
+
+  // Fractal noise detail in heights and imagery past the finest data zoom,
+  // for low-altitude shots
+  proceduralDetail: true,
+
+  // Extra detailed terrain anywhere on the globe, e.g. to look up at
+  //   { lat: 27.9881, lon: 86.9250, radius: 300, maxZoom: 12 }, // Himalayas
+  focusRegions: [],
 };
 
 // Scene setup
@@ -35,7 +97,7 @@ const phi = (90 - lat) * (Math.PI / 180);
 // Texture flip + globe rotation cancel out the offset, just negate lon
 const theta = -lon * Math.PI / 180;
 
-// Camera position inside sphere - 10km inside (2km above terrain at 8km offset)
+// Camera position inside sphere - 10km above sea level
 const cameraPos = new THREE.Vector3();
 cameraPos.setFromSphericalCoords(CONFIG.earthRadius - 10, phi, theta); // 10km inside sphere
 camera.position.copy(cameraPos);
@@ -52,7 +114,8 @@ const lookTarget = cameraPos.clone().add(forward.multiplyScalar(1000));
 camera.lookAt(lookTarget);
 
 // Renderer
-const renderer = new THREE.WebGLRenderer({ antialias: true });
+// Stencil lets terrain tiles mask out the globe beneath them
+const renderer = new THREE.WebGLRenderer({ antialias: true, stencil: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
 renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 document.body.appendChild(renderer.domElement);
@@ -68,6 +131,8 @@ scene.add(directionalLight);
 // Initialize scene components
 async function init() {
   try {
+    const providers = CONFIG.tileProviders ?? createDefaultProviders({ date: CONFIG.date });
+
     // Setup atmosphere FIRST to get uniforms for shaders
     const atmosphere = createAtmosphere(scene, CONFIG.earthRadius);
 
@@ -75,17 +140,69 @@ async function init() {
     // Sun at roughly -20° lat, -150° lon (south Pacific, west of South America)
     atmosphere.setSunPosition(-20, -150);
 
+    // Ocean depth shading, shared by globe and terrain
+    const bathymetry = createBathymetry({ enabled: CONFIG.bathymetry, seaLevel: CONFIG.seaLevel });
+
     // Create the inverted globe with atmospheric scattering
-    const globe = await createGlobe(CONFIG.earthRadius, false, atmosphere.uniforms);
+    // Clouds drifting between the viewer and the far side, shading the
+    // globe and terrain below
+    const clouds = await createClouds(CONFIG.earthRadius, atmosphere.uniforms, CONFIG.clouds);
+    scene.add(clouds.mesh);
+
+    // Ocean water shading, shared by globe and terrain
+    const water = createWater(atmosphere.uniforms, { quality: CONFIG.waterQuality });
+
+    const globe = await createGlobe(CONFIG.earthRadius, false, providers, {
+      atmosphere: atmosphere.uniforms,
+      bathymetry: bathymetry.uniforms,
+      textureWidth: CONFIG.globeTextureWidth,
+      clouds: clouds.uniforms,
+      water: water.uniforms,
+    });
     scene.add(globe);
+    water.setEnvironment(globe.material.uniforms.map.value, globe.material.uniforms.nightMap.value);
+
+    // Terrain loading progress: on the loading screen at first, then in the
+    // corner while finer tiles stream in
+    const loadingEl = document.getElementById('loading');
+    const progressEl = document.getElementById('progress');
+    const showTerrainProgress = ({ progress, pending, bytes }) => {
+      const percent = Math.floor(progress * 100);
+      if (loadingEl.style.display !== 'none') {
+        loadingEl.textContent = `Loading terrain... ${percent}%`;
+      }
+      progressEl.textContent = `Terrain ${percent}% (${(bytes / 1e6).toFixed(1)} MB)`;
+      progressEl.style.display = pending > 0 ? '' : 'none';
+    };
 
     // Create LOD terrain with atmospheric scattering
-    const terrain = await createTerrain(CONFIG.location, atmosphere.uniforms);
-    scene.add(terrain);
-    console.log('Terrain children:', terrain.children.length, terrain.children.map(c => c.name));
+    const terrain = await createTerrain(CONFIG.location, providers, {
+      atmosphere: atmosphere.uniforms,
+      bathymetry: bathymetry.uniforms,
+      clouds: clouds.uniforms,
+      water: water.uniforms,
+      onProgress: showTerrainProgress,
+      proceduralDetail: CONFIG.proceduralDetail,
+    });
+    terrain.setMemoryBudget(CONFIG.terrainMemoryMB);
+    terrain.setGlobeMap(globe.material.uniforms.map.value);
+    for (const region of CONFIG.focusRegions) terrain.addFocusRegion(region);
+    if (CONFIG.globeDisplacement) addGlobeDisplacement(globe, terrain.uniforms);
+
+    // Level-of-detail imagery over the globe
+    const globeChunks = CONFIG.globeChunks ? createGlobeChunks(globe, providers, terrain.uniforms) : null;
+    if (globeChunks) scene.add(globeChunks.group);
+
+    scene.add(terrain.group);
+    console.log('Terrain children:', terrain.group.children.length, terrain.group.children.map(c => c.name));
+
+    // LOD debug view: zoom tint (T), wireframe with tile bounds (G), stats (I)
+    const stats = createStatsOverlay(document.getElementById('stats'), renderer, terrain, globeChunks);
+    let debugTint = false;
+    let debugWireframe = false;
 
     // Setup camera controls (mouselook + WASD)
-    const controls = setupControls(camera, renderer.domElement);
+    const controls = setupControls(camera, renderer.domElement, (position) => terrain.getElevationBelow(position)?.radius);
 
     // Setup camera animation system
     const cameraAnim = createCameraAnimation(camera);
@@ -96,6 +213,9 @@ async function init() {
       updateInfo();
     });
 
+    // Position in the L key's sea level cycle
+    let seaLevelIndex = 0;
+
     // Keyboard shortcuts for keyframes and animation
     document.addEventListener('keydown', (event) => {
       // Number keys 1-7 jump to keyframes
@@ -118,6 +238,47 @@ async function init() {
         updateInfo();
       }
 
+      // B toggles bathymetry (ocean depth shading)
+      if (event.code === 'KeyB') {
+        bathymetry.toggle();
+      }
+
+      // L cycles the sea level: today -> ice age -> all ice melted
+      if (event.code === 'KeyL') {
+        const levels = [SEA_LEVELS.today, SEA_LEVELS.iceAge, SEA_LEVELS.iceFree];
+        seaLevelIndex = (seaLevelIndex + 1) % levels.length;
+        bathymetry.animateSeaLevel(levels[seaLevelIndex], CONFIG.seaLevelChangeSeconds);
+      }
+
+      // C toggles the cloud layer
+      if (event.code === 'KeyC') {
+        clouds.toggle();
+      }
+
+      // O cycles the water quality
+      if (event.code === 'KeyO') {
+        const index = WATER_QUALITIES.indexOf(water.quality);
+        water.setQuality(WATER_QUALITIES[(index + 1) % WATER_QUALITIES.length]);
+        console.log(`Water quality: ${water.quality}`);
+      }
+
+      // T tints terrain tiles by zoom level
+      if (event.code === 'KeyT') {
+        debugTint = !debugTint;
+        terrain.setDebugTint(debugTint);
+      }
+
+      // G draws terrain tiles as wireframe with their bounds outlined
+      if (event.code === 'KeyG') {
+        debugWireframe = !debugWireframe;
+        terrain.setDebugWireframe(debugWireframe);
+      }
+
+      // I shows terrain statistics
+      if (event.code === 'KeyI') {
+        stats.toggle();
+      }
+
       // V starts recording one full cycle
       if (event.code === 'KeyV' && !recorder.isRecording) {
         // Reset to beginning and start recording
@@ -156,7 +317,7 @@ async function init() {
     updateInfo();
 
     // Hide loading screen
-    document.getElementById('loading').style.display = 'none';
+    loadingEl.style.display = 'none';
 
     // For animation timing
     let lastTime = performance.now();
@@ -180,7 +341,21 @@ async function init() {
       // Update atmosphere with current camera position
       atmosphere.update(camera);
 
+      // Advance any sea level change
+      bathymetry.update(deltaTime);
+
+      // Drift the clouds
+      clouds.update(deltaTime);
+
+      // Split/merge terrain tiles around the current camera position
+      terrain.update(camera);
+      globeChunks?.update(camera);
+
+      // Animate the waves and refresh the reflection pass
+      water.update(renderer, scene, deltaTime);
+
       renderer.render(scene, camera);
+      stats.update(deltaTime);
     }
     animate();
 